@@ -13,6 +13,8 @@ const mkDir = (directoryPath) => {
 const copyFiles = () => {
     fs.copyFileSync('src/client/extension.js', 'dist/extension.js');
     fs.copyFileSync('src/server/server.js', 'dist/server.js');
+    fs.copyFileSync('src/server/workspaceindex.js', 'dist/workspaceindex.js');
+    fs.copyFileSync('src/server/textedits.js', 'dist/textedits.js');
     fs.cpSync('src/server/parser', 'dist/parser', { recursive: true });
 }
 
@@ -14,6 +14,7 @@ function activate(context) {
 
   // Fetch configuration options
   const errorThreshold = vscode.workspace.getConfiguration('yantra').get('errorThreshold', 25);
+  const format = getFormatSettings();
 
   const serverOptions = {
     run: { module: serverModule, transport: TransportKind.ipc },
@@ -23,7 +24,12 @@ function activate(context) {
   const clientOptions = {
     documentSelector: [{ scheme: 'file', language: 'yantra' }],
     initializationOptions: {
-      errorThreshold
+      errorThreshold,
+      format
+    },
+    synchronize: {
+      // Keep the server's workspace symbol index up to date
+      fileEvents: vscode.workspace.createFileSystemWatcher('**/*.{yantra,y}')
     },
     outputChannel
   };
@@ -31,15 +37,46 @@ function activate(context) {
   client = new LanguageClient('yantraLanguageServer', 'Yantra Language Server', serverOptions, clientOptions);
   context.subscriptions.push(client.start());
 
+  // Commands implemented by the server, for the active document
+  context.subscriptions.push(
+    vscode.commands.registerCommand('yantra.implementMissingWalkerFunctions', () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || editor.document.languageId !== 'yantra') return;
+
+      return vscode.commands.executeCommand(
+        'yantra.server.implementMissingWalkerFunctions',
+        editor.document.uri.toString()
+      );
+    })
+  );
+
   // Listen for configuration change, and send to server via custom notification.
   vscode.workspace.onDidChangeConfiguration((event) => {
     if (event.affectsConfiguration('yantra.errorThreshold')) {
       const newValue = vscode.workspace.getConfiguration('yantra').get('errorThreshold', 25);
       client.sendNotification('yantra/errorThresholdChanged', { value: newValue });
     }
+
+    if (event.affectsConfiguration('yantra.format')) {
+      client.sendNotification('yantra/formatSettingsChanged', { value: getFormatSettings() });
+    }
   });
 }
 
+/**
+ * Reads the formatter settings which are not part of the
+ * formatting options sent with each request.
+ */
+function getFormatSettings() {
+  const config = vscode.workspace.getConfiguration('yantra.format');
+  return {
+    alignTokenDefinitions: config.get('alignTokenDefinitions', true),
+    alignRuleAssignments: config.get('alignRuleAssignments', false),
+    maxBlankLines: config.get('maxBlankLines', -1),
+    maxLineWidth: config.get('maxLineWidth', 0)
+  };
+}
+
 function deactivate() {
   outputChannel.appendLine('Deactivating Yantra Language Server extension…');
   return client ? client.stop() : undefined;
@@ -22,6 +22,31 @@ class AssociativityPragmaNode extends PragmaNode {
         this.#tokenNameTokens = [];
     }
 
+    /**
+     * The associativity declared by this pragma: left, right, or
+     * token for none.
+     * @type {string}
+     */
+    get associativity() {
+        return this.name;
+    }
+
+    /**
+     * The names of the tokens listed by this pragma.
+     * @type {string[]}
+     */
+    get tokenNames() {
+        return this.#tokenNameTokens.map(tok => tok.lexeme);
+    }
+
+    /**
+     * The lexical tokens of the token names listed by this pragma.
+     * @type {LexicalToken[]}
+     */
+    get tokenNameTokens() {
+        return [...this.#tokenNameTokens];
+    }
+
     /** @type {NodeParser} */
     parse(state) {
         // Check parameters
@@ -6,6 +6,8 @@
  * @typedef {import('../types').NodeParser} NodeParser
  * @typedef {import('../types').IParseState} IParseState
  * @typedef {import('../types').SemanticToken} SemanticToken
+ * @typedef {import('../types').FormatOptions} FormatOptions
+ * @typedef {import('../types').CommentTrivia} CommentTrivia
  */
 
 /**
@@ -16,6 +18,8 @@ class ASTNode {
     #type;
     /** @type {range} */
     #range;
+    /** @type {CommentTrivia[]} */
+    #comments = [];
 
     /** 
      * @param {string} type
@@ -49,6 +53,22 @@ class ASTNode {
         return this.#range;
     }
 
+    /**
+     * Comments on the lines of the node, outside its code.
+     * @type {CommentTrivia[]}
+     */
+    get comments() {
+        return this.#comments;
+    }
+
+    /**
+     * Keeps comments found on a line of the node.
+     * @param {CommentTrivia[]} comments
+     */
+    addComments(comments) {
+        this.#comments.push(...comments);
+    }
+
     /**
      * Parses the node.
      * @type {NodeParser}
@@ -96,12 +116,23 @@ class ASTNode {
     /**
      * Returns a pretty-printed string representation of a
      * node.
+     * @param {FormatOptions} [options]
      * @returns {string[]}
      */
-    getFormattedLines() {
+    getFormattedLines(options) {
         return [];
     }
 
+    /**
+     * Returns a markdown description of the node, to be
+     * shown when hovering over a reference to it. Returns
+     * an empty string if the node has nothing to show.
+     * @returns {string}
+     */
+    getHoverText() {
+        return '';
+    }
+
     /**
      * Returns any semantic tokens that a node wants to 
      * expose. They should be in ascending order of 
@@ -0,0 +1,65 @@
+/**
+ * @typedef {import('../types').IParseState} IParseState
+ * @typedef {import('../types').NodeParser} NodeParser
+ * @typedef {import('../types').SemanticToken} SemanticToken
+ */
+
+const { PragmaNode } = require('./pragmacore');
+const { SemanticTokenType } = require('../enums');
+
+class CheckUnusedTokensPragmaNode extends PragmaNode {
+    /** @type {boolean} */
+    #enabled = true;
+
+    /**
+     * @param {IParseState} state
+     */
+    constructor(state) {
+        super(state);
+    }
+
+    /**
+     * Whether tokens not used by any rule should be reported.
+     * A %check_unused_tokens pragma without a parameter enables
+     * the check.
+     * @type {boolean}
+     */
+    get enabled() {
+        return this.#enabled;
+    }
+
+    /** @type {NodeParser} */
+    parse(state) {
+        const setting = this.paramsToken?.lexeme.trim();
+        if (setting && setting !== 'true' && setting !== 'false') {
+            state.addError(
+                'The %check_unused_tokens pragma expects true or false as parameter'
+            );
+            return;
+        }
+
+        if (!this.validateTerminator(state, 'check_unused_tokens')) {
+            return;
+        }
+
+        this.#enabled = setting !== 'false';
+    }
+
+    getFormattedLines() {
+        return [`%check_unused_tokens ${this.#enabled};`];
+    }
+
+    /** @returns {SemanticToken[]} */
+    getSemanticTokens() {
+        const semToks = super.getSemanticTokens();
+        semToks.push(...this.createSemanticTokensFor(
+            [this.paramsToken],
+            SemanticTokenType.Keyword
+        ));
+        return semToks;
+    }
+}
+
+module.exports = {
+    CheckUnusedTokensPragmaNode
+};
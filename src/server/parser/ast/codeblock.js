@@ -3,25 +3,129 @@
  * @typedef {import('../types').NodeParser} NodeParser
  * @typedef {import('../types').Reference} Reference
  * @typedef {import('../types').SemanticToken} SemanticToken
+ * @typedef {import('../types').range} range
+ * @typedef {import('../types').FormatOptions} FormatOptions
+ * @typedef {import('./rule').RuleNode} RuleNode
  */
 
 const { ErrorSeverity, SemanticTokenType, SemanticTokenModifier } = require('../enums');
 const { LexicalToken } = require('../lexicaltoken');
 const { ASTNode, MultilineASTNode } = require('./astcore');
 
+/**
+ * Replaces the string literals, character literals and comments
+ * of C++ code with spaces, so that only identifiers in code are
+ * found in the result. Columns are kept.
+ * @param {string[]} lines
+ * @param {Set<Number>} [rawStringLines] Receives the indexes of the
+ * lines which begin inside a raw string literal.
+ * @returns {string[]}
+ */
+function maskCppLiterals(lines, rawStringLines) {
+    let inBlockComment = false;
+    /** @type {string|undefined} */
+    let rawStringEnd;
+
+    return lines.map((lineText, index) => {
+        if (rawStringEnd !== undefined) rawStringLines?.add(index);
+
+        let masked = '';
+        let i = 0;
+        while (i < lineText.length) {
+            const ch = lineText[i];
+            const next = lineText[i + 1];
+
+            if (inBlockComment) {
+                if (ch === '*' && next === '/') {
+                    inBlockComment = false;
+                    masked += '  ';
+                    i += 2;
+                } else {
+                    masked += ' ';
+                    i++;
+                }
+            } else if (rawStringEnd !== undefined) {
+                if (lineText.startsWith(rawStringEnd, i)) {
+                    masked += ' '.repeat(rawStringEnd.length);
+                    i += rawStringEnd.length;
+                    rawStringEnd = undefined;
+                } else {
+                    masked += ' ';
+                    i++;
+                }
+            } else if (ch === '/' && next === '/') {
+                masked += ' '.repeat(lineText.length - i);
+                i = lineText.length;
+            } else if (ch === '/' && next === '*') {
+                inBlockComment = true;
+                masked += '  ';
+                i += 2;
+            } else if (ch === '"' || ch === '\'') {
+                // A ' inside a number, such as 1'000, separates digits
+                const word = masked.match(/\w*$/)?.[0] ?? '';
+                if (ch === '\'' && /^\d/.test(word)) {
+                    masked += ch;
+                    i++;
+                    continue;
+                }
+
+                const rawString = ch === '"' && /R$/.test(word)
+                    ? lineText.slice(i + 1).match(/^([^\s()\\]{0,16})\(/)
+                    : null;
+                if (rawString) {
+                    rawStringEnd = `)${rawString[1]}"`;
+                    masked += ' '.repeat(rawString[0].length + 1);
+                    i += rawString[0].length + 1;
+                    continue;
+                }
+
+                // The literal ends at its closing quote, or the end of the line
+                let end = i + 1;
+                while (end < lineText.length && lineText[end] !== ch) {
+                    end += lineText[end] === '\\' ? 2 : 1;
+                }
+                end = Math.min(end + 1, lineText.length);
+                masked += ' '.repeat(end - i);
+                i = end;
+            } else {
+                masked += ch;
+                i++;
+            }
+        }
+        return masked;
+    });
+}
+
 class CodeBlockNode extends MultilineASTNode {
     /** @type {string} */
     #name;
     /** @type {string[]} */
     #lines;
+    /**
+     * The rule definition the code block belongs to, if any.
+     * @type {RuleNode|undefined}
+     */
+    #rule;
+    /** @type {string} */
+    #walkerName;
+    /**
+     * The line after the %{, where the code begins.
+     * @type {Number}
+     */
+    #contentStartLine;
 
     /**
      * @param {IParseState} state 
      * @param {Number} [startCharacter] - the start character of the code block, if not the line start
      */
     constructor(state, startCharacter) {
+        // A named code block starts at its name, which is on the
+        // previous line. An anonymous code block, or one which 
+        // starts partway through a line, starts on this line.
         const isAnonymous = state.inRuleDef && !state.expectNamedCodeBlock;
-        const startLine = isAnonymous ? state.line : state.line - 1;
+        const startLine = isAnonymous || startCharacter !== undefined
+            ? state.line
+            : state.line - 1;
 
         super('codeblock', {
             start: {
@@ -43,12 +147,126 @@ class CodeBlockNode extends MultilineASTNode {
         this.#name = codeBlockName;
 
         this.#lines = [];
+        this.#rule = state.inRuleDef ? state.currentRule : undefined;
+        this.#walkerName = state.codeBlockName?.className ?? '';
+        this.#contentStartLine = state.line + 1;
     }
 
     get name() {
         return this.#name;
     }
 
+    /**
+     * The rule definition the code block belongs to, if any.
+     * @type {RuleNode|undefined}
+     */
+    get rule() {
+        return this.#rule;
+    }
+
+    /**
+     * The walker the code block belongs to.
+     * @type {string}
+     */
+    get walkerName() {
+        return this.#walkerName;
+    }
+
+    /**
+     * The line after the %{, where the code begins.
+     * @type {Number}
+     */
+    get contentStartLine() {
+        return this.#contentStartLine;
+    }
+
+    /**
+     * The lines of code in the block, without the %{ and %}.
+     * @type {string[]}
+     */
+    get lines() {
+        return this.#lines;
+    }
+
+    /**
+     * The lines of code in the block, with strings, character
+     * literals and comments replaced by spaces.
+     * @type {string[]}
+     */
+    get codeLines() {
+        return maskCppLiterals(this.#lines);
+    }
+
+    /**
+     * Returns the aliases of the elements of the rule definition
+     * the code block belongs to. Code in the block refers to the
+     * elements by these names.
+     * @returns {LexicalToken[]}
+     */
+    getAliasTokens() {
+        if (!this.#rule) return [];
+
+        return /** @type {LexicalToken[]} */ (
+            this.#rule.elements
+                .map(rdef => rdef.alias)
+                .filter(alias => alias !== null)
+        );
+    }
+
+    /**
+     * Checks if a line is one of the lines of code in the block.
+     * @param {Number} line
+     * @returns {boolean}
+     */
+    isCodeLine(line) {
+        return line >= this.#contentStartLine &&
+            line < this.#contentStartLine + this.#lines.length;
+    }
+
+    /**
+     * Returns the ranges where the code uses an alias. Members of
+     * other objects with the same name, such as x.alias, and words
+     * in strings and comments are not uses of the alias.
+     * @param {string} aliasName
+     * @returns {range[]}
+     */
+    getAliasUseRanges(aliasName) {
+        const usePattern = new RegExp(`(?<![\\w.:]|->)${aliasName}(?!\\w)`, 'g');
+
+        /** @type {range[]} */
+        const ranges = [];
+        this.codeLines.forEach((lineText, index) => {
+            const line = this.#contentStartLine + index;
+            for (const match of lineText.matchAll(usePattern)) {
+                const start = /** @type {number} */ (match.index);
+                ranges.push({
+                    start: { line, character: start },
+                    end: { line, character: start + aliasName.length }
+                });
+            }
+        });
+        return ranges;
+    }
+
+    /**
+     * Returns the alias declaration for the identifier at a position
+     * in the code, or undefined if the identifier is not an alias.
+     * @param {Number} line
+     * @param {Number} character
+     * @returns {LexicalToken|undefined}
+     */
+    getAliasAt(line, character) {
+        if (!this.isCodeLine(line)) return undefined;
+        const lineText = this.codeLines[line - this.#contentStartLine];
+
+        const before = lineText.slice(0, character).match(/[A-Za-z_]\w*$/)?.[0] ?? '';
+        const after = lineText.slice(character).match(/^\w*/)?.[0] ?? '';
+        const word = before + after;
+        if (!word) return undefined;
+
+        return this.getAliasTokens().find(alias => alias.lexeme === word);
+    }
+
     /**
      * To be called when the end of the block has been encountered.
      * This RESETS the current code block, so cache it if required.
@@ -108,17 +326,89 @@ class CodeBlockNode extends MultilineASTNode {
         this.#lines.push(lineText);
     }
 
-    getFormattedLines() {
+    /**
+     * Checks if indentation differs from the tab size or the use of
+     * spaces in formatting options. Code indented with spaces uses
+     * the smallest indentation of its lines as its tab size.
+     * @param {string[]} indents The indentation of each line of code
+     * @param {FormatOptions} options
+     * @returns {boolean}
+     */
+    #differsFromIndents(indents, options) {
+        const indented = indents.filter(lineIndent => lineIndent !== '');
+        if (indented.length === 0) return false;
+
+        if (indented.some(lineIndent => lineIndent.includes('\t'))) {
+            return options.insertSpaces;
+        }
+        if (!options.insertSpaces) return true;
+
+        const sourceTabSize = Math.min(...indented.map(lineIndent => lineIndent.length));
+        return sourceTabSize !== options.tabSize;
+    }
+
+    /**
+     * Returns the code block with its code indented by one level.
+     * Lines which are already indented keep their indentation,
+     * unless the tab size or the use of spaces in the options
+     * differs from the code. Such code is indented again with the
+     * options, keeping the indentation of lines relative to each
+     * other. Blank lines and lines inside raw string literals are
+     * never changed.
+     * @param {FormatOptions} [options]
+     * @returns {string[]}
+     */
+    getFormattedLines(options) {
         const formattedLines = [];
         formattedLines.push('%{');
 
-        // Reformat code block lines to be indented
-        // four spaces, and so there.
-        const codeBlockLines = this.#lines.map(
-            lineText => lineText.slice(0, 4) === '    '
-                ? lineText
-                : '    ' + lineText
-        );
+        const tabSize = options?.tabSize ?? 4;
+        const indent = options && !options.insertSpaces
+            ? '\t'
+            : ' '.repeat(tabSize);
+
+        /** @type {Set<Number>} */
+        const rawStringLines = new Set();
+        maskCppLiterals(this.#lines, rawStringLines);
+        const isKept = (/** @type {string} */ lineText, /** @type {Number} */ index) =>
+            lineText.trim() === '' || rawStringLines.has(index);
+
+        const indents = this.#lines
+            .filter((lineText, index) => !isKept(lineText, index))
+            .map(lineText => /** @type {RegExpMatchArray} */ (lineText.match(/^\s*/))[0]);
+
+        if (!options || !this.#differsFromIndents(indents, options)) {
+            formattedLines.push(...this.#lines.map(
+                (lineText, index) => isKept(lineText, index) || lineText.startsWith(indent)
+                    ? lineText
+                    : indent + lineText
+            ));
+            formattedLines.push('%}');
+            return formattedLines;
+        }
+
+        // Find the indentation common to all code lines,
+        // which is replaced by one level of indentation.
+        // Indentation beyond that is converted to levels
+        // of the same kind.
+        let commonIndent = indents.length > 0 ? indents[0] : '';
+        indents.forEach((lineIndent) => {
+            while (!lineIndent.startsWith(commonIndent)) {
+                commonIndent = commonIndent.slice(0, -1);
+            }
+        });
+
+        const codeBlockLines = this.#lines.map((lineText, index) => {
+            if (isKept(lineText, index)) return lineText;
+
+            const code = lineText.slice(commonIndent.length);
+            const codeIndent = /** @type {RegExpMatchArray} */ (code.match(/^\s*/))[0];
+            const width = codeIndent.replace(/\t/g, ' '.repeat(tabSize)).length;
+            return indent +
+                indent.repeat(Math.floor(width / tabSize)) +
+                ' '.repeat(width % tabSize) +
+                code.slice(codeIndent.length);
+        });
         formattedLines.push(...codeBlockLines);
 
         formattedLines.push('%}');
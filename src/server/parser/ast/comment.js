@@ -25,14 +25,23 @@ class CommentNode extends ASTNode {
         this.#lineText = state.lineText;
     }
 
+    /**
+     * The text of the line, including the comment markers.
+     * @type {string}
+     */
+    get text() {
+        return this.#lineText ?? '';
+    }
+
     /**
      * Preseve spaces before //, but ensure one space after it, unless 
-     * immediately followed by a hash.
+     * immediately followed by a hash, or by a third / which makes it a
+     * doc comment.
      * @returns {string[]}
      */
     getFormattedLines() {
         if (!this.#lineText) return [''];
-        return [this.#lineText.replace(/^(\s*?)\/\/([^\s#])/, "$1// $2")];
+        return [this.#lineText.replace(/^(\s*?)\/\/(?=[^\s#/])/, "$1// ")];
     }
 
     getSemanticTokens() {
@@ -278,6 +278,22 @@ class FunctionDefinitionNode extends ASTNode {
         return this.functionNameToken.lexeme;
     }
 
+    /**
+     * The C++ parameters of the function, as written.
+     * @type {string}
+     */
+    get parameters() {
+        return this.#allParamsToken?.lexeme ?? '';
+    }
+
+    /**
+     * The C++ return type of the function.
+     * @type {string}
+     */
+    get returnType() {
+        return this.#returnTypeToken?.lexeme ?? '';
+    }
+
     /**
      * @param {Number} character
      * @returns {Reference|null}
@@ -331,7 +347,14 @@ class FunctionDefinitionNode extends ASTNode {
     }
 
     getFormattedLines() {
-        return [`${this.ruleName} ${this.walkerName}::${this.functionName}(${this.#allParamsToken?.lexeme ?? ''}) -> ${this.#returnTypeToken.lexeme}`];
+        return [`${this.ruleName} ${this.walkerName}::${this.functionName}(${this.parameters}) -> ${this.returnType}`];
+    }
+
+    getHoverText() {
+        return '```cpp\n' +
+            `${this.returnType} ${this.walkerName}::${this.functionName}(${this.parameters})` +
+            '\n```\n' +
+            `Walker function for the rule \`${this.ruleName}\``;
     }
 
     getSemanticTokens() {
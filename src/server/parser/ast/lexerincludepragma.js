@@ -23,6 +23,14 @@ class LexerIncludePragmaNode extends PragmaNode {
         super(state);
     }
 
+    /**
+     * The name of the included lexer mode.
+     * @type {string}
+     */
+    get modeName() {
+        return this.#modeNameToken?.lexeme ?? '';
+    }
+
     /**
      * @type {NodeParser}
      */
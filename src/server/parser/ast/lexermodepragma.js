@@ -105,6 +105,10 @@ class LexerModePragmaNode extends PragmaNode {
         return [`%lexer_mode ${this.name};`];
     }
 
+    getHoverText() {
+        return `Lexer mode \`${this.name}\``;
+    }
+
     /**
      * @returns {SemanticToken[]}
      */
@@ -1,5 +1,6 @@
 const { AssociativityPragmaNode } = require('./associativitypragma');
 const { ASTNode, MultilineASTNode } = require('./astcore');
+const { CheckUnusedTokensPragmaNode } = require('./checkunusedtokenspragma');
 const { ClassNamePragmaNode } = require('./classnamepragma');
 const { CodeBlockNode, CodeBlockNameNode } = require('./codeblock');
 const { CommentNode } = require('./comment');
@@ -10,7 +11,7 @@ const { LexerModePragmaNode } = require('./lexermodepragma');
 const { MembersPragmaNode } = require('./memberspragma');
 const { StartPragmaNode } = require('./startpragma');
 const { PragmaNode, StubPragmaNode } = require('./pragmacore');
-const { RuleNode } = require('./rule');
+const { RuleNode, RuleContinuationNode } = require('./rule');
 const { WalkersPragmaNode } = require('./walkerspragma');
 const { WalkerInterfacePragmaNode } = require('./walkerinterfacepragma');
 const { TokenNode } = require('./yantratoken');
@@ -18,6 +19,7 @@ const { TokenNode } = require('./yantratoken');
 module.exports = {
     AssociativityPragmaNode,
     ASTNode, MultilineASTNode,
+    CheckUnusedTokensPragmaNode,
     ClassNamePragmaNode,
     CodeBlockNode, CodeBlockNameNode,
     CommentNode,
@@ -28,7 +30,7 @@ module.exports = {
     MembersPragmaNode,
     StartPragmaNode,
     PragmaNode, StubPragmaNode,
-    RuleNode,
+    RuleNode, RuleContinuationNode,
     WalkersPragmaNode, WalkerInterfacePragmaNode,
     TokenNode
 };
\ No newline at end of file
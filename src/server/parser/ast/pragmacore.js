@@ -61,15 +61,20 @@ class PragmaNode extends ASTNode {
      * @returns {SemanticToken[]}
      */
     getSemanticTokens() {
+        // The keyword includes the %, which precedes the name.
+        // Copy the range, so that the name token is unchanged.
+        const nameRange = this.#name.range;
+
         /** @type {SemanticToken} */
         const pragmaNameTok = {
-            range: this.#name.range,
+            range: {
+                start: { line: nameRange.start.line, character: nameRange.start.character - 1 },
+                end: { line: nameRange.end.line, character: nameRange.end.character }
+            },
             tokenType: SemanticTokenType.Keyword,
             tokenModifiers: []
         };
 
-        pragmaNameTok.range.start.character--;
-
         return [pragmaNameTok];
     }
 
@@ -152,6 +157,16 @@ class StubPragmaNode extends PragmaNode {
     constructor(state) {
         super(state);
     }
+
+    /**
+     * Writes out the pragma name and its parameters, which are
+     * not validated, as they are.
+     * @returns {string[]}
+     */
+    getFormattedLines() {
+        const params = this.paramsToken?.lexeme.trim();
+        return [`%${this.name}${params ? ' ' + params : ''}${this.terminatorToken ? ';' : ''}`];
+    }
 }
 
 module.exports = {
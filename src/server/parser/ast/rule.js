@@ -4,6 +4,8 @@
  * @typedef {import('../types').SemanticToken} SemanticToken
  * @typedef {import('../types').IParseState} IParseState
  * @typedef {import('../types').NodeParser} NodeParser
+ * @typedef {import('../types').FormatOptions} FormatOptions
+ * @typedef {import('../types').CommentTrivia} CommentTrivia
  */
 
 const {
@@ -42,6 +44,90 @@ const isYantraRuleName = (word) => {
     return ElementPattern.RuleName.test(word);
 }
 
+/**
+ * Gets a reference to the token or rule used by the element at
+ * a character position, or null if there is none.
+ * @param {RuleDefElement[]} elements - Elements on one line
+ * @param {Number} character
+ * @returns {Reference|null}
+ */
+const getElementReferenceAt = (elements, character) => {
+    const rdef = elements.find(
+        rdelement => rdelement.element.isCharacterInside(character)
+    );
+
+    if (rdef) {
+        if (isYantraTokenName(rdef.element.lexeme)) {
+            return { type: 'token', name: rdef.element.lexeme }
+
+        }
+        if (isYantraRuleName(rdef.element.lexeme)) {
+            return { type: 'rule', name: rdef.element.lexeme }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns the elements which use a token or rule.
+ * @param {RuleDefElement[]} elements
+ * @param {Reference} noderef
+ * @returns {LexicalToken[]}
+ */
+const getElementTokensFor = (elements, noderef) => {
+    if (!(['rule', 'token'].includes(noderef.type))) return [];
+
+    // Filter all ruledefs to those that contain a matching
+    // reference in the element portion of the ruledef, and
+    // then select only the element portions.
+    return elements.filter(
+        rdef => rdef.element?.lexeme === noderef.name &&
+            (
+                noderef.type === 'token'
+                    ? isYantraTokenName(rdef.element.lexeme)
+                    : isYantraRuleName(rdef.element.lexeme)
+            )
+    ).map(rdef => rdef.element);
+}
+
+/**
+ * Returns the semantic tokens of elements.
+ * @param {RuleDefElement[]} elements
+ * @returns {SemanticToken[]}
+ */
+const getElementSemanticTokens = (elements) => {
+    /** @type {SemanticToken[]} */
+    const semToks = [];
+
+    elements.forEach(rdef => {
+        if (rdef.anchor) {
+            semToks.push({
+                range: rdef.anchor.range,
+                tokenType: SemanticTokenType.Operator,
+                tokenModifiers: []
+            });
+        }
+        semToks.push({
+            range: rdef.element.range,
+            tokenType: isYantraRuleName(rdef.element.lexeme)
+                ? SemanticTokenType.Function
+                : SemanticTokenType.Variable,
+            tokenModifiers: []
+        });
+
+        if (rdef.alias) {
+            semToks.push({
+                range: rdef.alias.range,
+                tokenType: SemanticTokenType.Parameter,
+                tokenModifiers: []
+            });
+        }
+    });
+
+    return semToks;
+}
+
 class RuleNode extends MultilineASTNode {
     #nameToken;
     #internalName;
@@ -104,6 +190,23 @@ class RuleNode extends MultilineASTNode {
         return this.#internalName;
     }
 
+    /**
+     * The elements of the rule definition, in order, including
+     * those on the lines which continue it.
+     * @type {RuleDefElement[]}
+     */
+    get elements() {
+        return this.#ruleDefElements;
+    }
+
+    /**
+     * The semicolon that ends the rule definition, if present.
+     * @type {LexicalToken|null}
+     */
+    get terminatorToken() {
+        return this.#terminatorToken;
+    }
+
     /**
      * Calculates the internal name for this rule definition.
      * First definition uses the base name, subsequent definitions
@@ -122,22 +225,34 @@ class RuleNode extends MultilineASTNode {
         }
     }
 
-    /** @type {NodeParser} */
-    parse(state) {
-        const paramsMatches = this.#definitionToken.matchRepeatingPattern(
-            RepeatedElementPattern.RuleDefs
-        );
+    /**
+     * Parses the elements on a line of the rule definition, and
+     * adds them to the elements of the definition. Returns false
+     * if the line has a syntax error.
+     * @param {IParseState} state
+     * @param {LexicalToken} definitionToken - The elements on the line
+     * @returns {boolean}
+     */
+    #parseElements(state, definitionToken) {
+        // An empty definition (x := ;) is an epsilon rule, and
+        // has no elements.
+        const paramsMatches = definitionToken.lexeme.trim() === ''
+            ? []
+            : definitionToken.matchRepeatingPattern(
+                RepeatedElementPattern.RuleDefs
+            );
 
         if (!paramsMatches) {
             state.addError(
                 'Syntax error in rule definition'
             );
-            return;
+            return false;
         }
 
         // Process rule definitions
-        const definitionsOffset = this.#definitionToken.range.start.character;
-        let anchorAppeared = false;
+        const definitionsOffset = definitionToken.range.start.character;
+        let anchorAppeared = this.#ruleDefElements.some(rdef => rdef.anchor);
+        const firstIndex = this.#ruleDefElements.length;
 
         for (let i = 0; i < paramsMatches.length; i++) {
             // Each match has the elements:
@@ -242,6 +357,14 @@ class RuleNode extends MultilineASTNode {
 
         }
 
+        this.#checkDuplicateAliases(state, firstIndex);
+        return true;
+    }
+
+    /** @type {NodeParser} */
+    parse(state) {
+        if (!this.#parseElements(state, this.#definitionToken)) return;
+
         // A rule definition that does not end in a semicolon is expecting
         // a code block
         if (!this.#terminatorToken) {
@@ -286,6 +409,66 @@ class RuleNode extends MultilineASTNode {
         });
     }
 
+    /**
+     * Parses a line which continues the rule definition with more
+     * elements. A semicolon at its end ends the definition, which
+     * otherwise is continued, or followed by code blocks, on the
+     * next lines.
+     * @param {IParseState} state
+     * @param {LexicalToken} definitionToken - The elements on the line
+     * @param {LexicalToken|null} terminatorToken
+     * @returns {RuleDefElement[]} - The elements on the line
+     */
+    parseContinuation(state, definitionToken, terminatorToken) {
+        const firstIndex = this.#ruleDefElements.length;
+        this.#parseElements(state, definitionToken);
+
+        if (terminatorToken) {
+            this.#terminatorToken = terminatorToken;
+            state.terminateMultilineRule();
+        } else {
+            state.expectRuleContinuation = true;
+        }
+
+        return this.#ruleDefElements.slice(firstIndex);
+    }
+
+    /**
+     * Reports aliases used by more than one element of the rule
+     * definition, since code blocks could not tell them apart.
+     * Only elements from firstIndex on, which are on the current
+     * line, are reported.
+     * @param {IParseState} state
+     * @param {Number} firstIndex
+     */
+    #checkDuplicateAliases(state, firstIndex) {
+        /** @type {Map<string, RuleDefElement>} */
+        const aliasedElements = new Map();
+
+        this.#ruleDefElements.forEach((rdef, index) => {
+            if (!rdef.alias) return;
+
+            const aliasName = rdef.alias.lexeme;
+            const firstElement = aliasedElements.get(aliasName);
+            if (!firstElement) {
+                aliasedElements.set(aliasName, rdef);
+                return;
+            }
+            if (index < firstIndex) return;
+
+            state.addError(
+                `The alias '${aliasName}' is already used by '${firstElement.element.lexeme}' in this rule definition`,
+                ErrorSeverity.Error,
+                rdef.alias.range.start.character,
+                rdef.alias.range.end.character,
+                [{
+                    range: /** @type {LexicalToken} */ (firstElement.alias).range,
+                    message: `The alias '${aliasName}' is first used here`
+                }]
+            );
+        });
+    }
+
     /**
      * @param {IParseState} state 
      * @returns {ASTNode}
@@ -305,21 +488,29 @@ class RuleNode extends MultilineASTNode {
      * @returns {Reference|null}
      */
     getReferenceAt(character) {
-        const rdef = this.#ruleDefElements?.find(
-            rdelement => rdelement.element.isCharacterInside(character)
-        );
-
-        if (rdef) {
-            if (isYantraTokenName(rdef.element.lexeme)) {
-                return { type: 'token', name: rdef.element.lexeme }
+        return getElementReferenceAt(this.#getLineElements(), character);
+    }
 
-            }
-            if (isYantraRuleName(rdef.element.lexeme)) {
-                return { type: 'rule', name: rdef.element.lexeme }
-            }
-        }
+    /**
+     * Returns the elements on the line of the rule name, without
+     * those on the lines which continue the definition.
+     * @returns {RuleDefElement[]}
+     */
+    #getLineElements() {
+        const line = this.range.start.line;
+        return this.#ruleDefElements.filter(rdef => rdef.element.range.start.line === line);
+    }
 
-        return null;
+    /**
+     * Returns the element whose alias is at a character position,
+     * if any.
+     * @param {Number} character
+     * @returns {RuleDefElement|undefined}
+     */
+    getElementWithAliasAt(character) {
+        return this.#getLineElements().find(
+            rdef => rdef.alias?.isCharacterInside(character)
+        );
     }
 
     /**
@@ -347,42 +538,85 @@ class RuleNode extends MultilineASTNode {
             resulToks.push(this.#nameToken);
         }
 
-        // Filter all ruledefs to those that contain a matching
-        // reference in the element portion of the ruledef, and
-        // then select only the element portions.
-        const refs = this.#ruleDefElements.filter(
-            rdef => rdef.element?.lexeme === noderef.name &&
-                (
-                    noderef.type === 'token'
-                        ? isYantraTokenName(rdef.element.lexeme)
-                        : isYantraRuleName(rdef.element.lexeme)
-                )
-        ).map(rdef => rdef.element);
-
-        if (refs.length === 0) return resulToks;
-
-        resulToks.push(...refs);
+        resulToks.push(...getElementTokensFor(this.#getLineElements(), noderef));
         return resulToks;
     }
 
-    getFormattedLines() {
-        const ruleElements = [this.name];
-        if (this.#aliasToken) {
-            ruleElements.push(`(${this.#aliasToken.lexeme})`);
-        }
-        ruleElements.push(':=');
-
-        this.#ruleDefElements.forEach(item => {
-            ruleElements.push(`${item.anchor ? '^' : ''}${item.element.lexeme}`);
-            if (item.alias) {
-                ruleElements.push(`(${item.alias.lexeme})`);
+    /**
+     * Returns the rule definition. If the options set a maximum
+     * line width, elements which would make a line longer are
+     * wrapped onto the next line, indented by one level. Each
+     * line keeps at least one element.
+     * @param {FormatOptions} [options]
+     * @param {Number} [nameWidth] - The width the name and alias are padded to, which aligns the :=
+     * @returns {string[]}
+     */
+    getFormattedLines(options, nameWidth = 0) {
+        const tabSize = options?.tabSize ?? 4;
+        const indent = options && !options.insertSpaces
+            ? '\t'
+            : ' '.repeat(tabSize);
+        const maxLineWidth = options?.maxLineWidth ?? 0;
+        const terminator = this.#terminatorToken ? ';' : '';
+
+        /** @type {string[]} */
+        const lines = [];
+        let lineText = `${this.#formatName().padEnd(nameWidth, ' ')} :=`;
+
+        const elementTexts = this.#formatElements();
+        elementTexts.forEach((elementText, index) => {
+            const text = index === elementTexts.length - 1
+                ? elementText + terminator
+                : elementText;
+            const width = `${lineText} ${text}`.replace(/\t/g, ' '.repeat(tabSize)).length;
+
+            if (maxLineWidth > 0 && index > 0 && width > maxLineWidth) {
+                lines.push(lineText);
+                lineText = indent + text;
+            } else {
+                lineText += ` ${text}`;
             }
         });
+        if (elementTexts.length === 0) lineText += terminator;
+
+        lines.push(lineText);
+        return lines;
+    }
 
-        let ruleLineText = ruleElements.join(' ');
-        ruleLineText += (this.#terminatorToken ? ';' : '');
+    getHoverText() {
+        return `\`${this.internalName}\`\n` +
+            '```yantra\n' + this.#formatDefinition() + '\n```';
+    }
 
-        return [ruleLineText];
+    /**
+     * Returns the rule definition as a single line, without
+     * the terminating semicolon.
+     * @returns {string}
+     */
+    #formatDefinition() {
+        return [this.#formatName(), ':=', ...this.#formatElements()].join(' ');
+    }
+
+    /**
+     * Returns the name of the rule with its alias, if any.
+     * @returns {string}
+     */
+    #formatName() {
+        return this.#aliasToken
+            ? `${this.name} (${this.#aliasToken.lexeme})`
+            : this.name;
+    }
+
+    /**
+     * Returns each element of the rule definition with its
+     * anchor and alias, if any.
+     * @returns {string[]}
+     */
+    #formatElements() {
+        return this.#ruleDefElements.map(item =>
+            `${item.anchor ? '^' : ''}${item.element.lexeme}` +
+            (item.alias ? ` (${item.alias.lexeme})` : '')
+        );
     }
 
     getSemanticTokens() {
@@ -412,35 +646,109 @@ class RuleNode extends MultilineASTNode {
             tokenModifiers: []
         });
 
-        this.#ruleDefElements.forEach(rdef => {
-            if (rdef.anchor) {
-                semToks.push({
-                    range: rdef.anchor.range,
-                    tokenType: SemanticTokenType.Operator,
-                    tokenModifiers: []
-                });
-            }
-            semToks.push({
-                range: rdef.element.range,
-                tokenType: isYantraRuleName(rdef.element.lexeme)
-                    ? SemanticTokenType.Function
-                    : SemanticTokenType.Variable,
-                tokenModifiers: []
-            });
-
-            if (rdef.alias) {
-                semToks.push({
-                    range: rdef.alias.range,
-                    tokenType: SemanticTokenType.Parameter,
-                    tokenModifiers: []
-                });
-            }
-        });
+        semToks.push(...getElementSemanticTokens(this.#getLineElements()));
 
         return semToks;
     }
 }
 
+/**
+ * A line which continues a rule definition with more elements,
+ * after the line of the rule name.
+ */
+class RuleContinuationNode extends ASTNode {
+    /** @type {RuleNode} */
+    #rule;
+    /** @type {LexicalToken} */
+    #definitionToken;
+    /** @type {LexicalToken|null} */
+    #terminatorToken;
+    /** @type {RuleDefElement[]} */
+    #elements;
+
+    /**
+     * @param {IParseState} state
+     * @param {RuleNode} rule - The rule definition which the line continues
+     */
+    constructor(state, rule) {
+        // The rule continuation regexp returns:
+        // - [1] - the rule definition elements on the line
+        // - [2] - semicolon, optional
+        super('rulecontinuation', state.fullLineRange());
+
+        this.#rule = rule;
+        this.#definitionToken = /** @type {LexicalToken} */ (state.lexicalTokenFromMatch(1));
+        this.#terminatorToken = state.lexicalTokenFromMatch(2);
+        this.#elements = [];
+    }
+
+    /**
+     * The rule definition which the line continues.
+     * @type {RuleNode}
+     */
+    get rule() {
+        return this.#rule;
+    }
+
+    /**
+     * Comments on the line are kept with the rule definition,
+     * which is formatted as a whole.
+     * @type {CommentTrivia[]}
+     */
+    get comments() {
+        return this.#rule.comments;
+    }
+
+    /**
+     * @param {CommentTrivia[]} comments
+     */
+    addComments(comments) {
+        this.#rule.addComments(comments);
+    }
+
+    /** @type {NodeParser} */
+    parse(state) {
+        this.#elements = this.#rule.parseContinuation(
+            state,
+            this.#definitionToken,
+            this.#terminatorToken
+        );
+    }
+
+    /**
+     * @param {Number} character
+     * @returns {Reference|null}
+     */
+    getReferenceAt(character) {
+        return getElementReferenceAt(this.#elements, character);
+    }
+
+    /**
+     * Returns the element whose alias is at a character position,
+     * if any.
+     * @param {Number} character
+     * @returns {RuleDefElement|undefined}
+     */
+    getElementWithAliasAt(character) {
+        return this.#elements.find(
+            rdef => rdef.alias?.isCharacterInside(character)
+        );
+    }
+
+    /**
+     * @param {Reference} noderef - The reference to be queried in the current Node
+     * @returns {LexicalToken[]} - The lexical token(s) which match the reference
+     */
+    getLexicalTokensFor(noderef) {
+        return getElementTokensFor(this.#elements, noderef);
+    }
+
+    getSemanticTokens() {
+        return getElementSemanticTokens(this.#elements);
+    }
+}
+
 module.exports = {
-    RuleNode
+    RuleNode,
+    RuleContinuationNode
 };
\ No newline at end of file
@@ -150,6 +150,10 @@ class WalkerNode extends ASTNode {
         return refs;
     }
 
+    getHoverText() {
+        return `Walker \`${this.name}\``;
+    }
+
     /**
      * 
      * @param {number} character 
@@ -7,7 +7,8 @@
 
 const { ASTNode } = require('./astcore');
 const { LexicalToken } = require('../lexicaltoken');
-const { SemanticTokenType, SemanticTokenModifier } = require('../enums');
+const { SemanticTokenType, SemanticTokenModifier, ErrorSeverity } = require('../enums');
+const { parseTokenPattern } = require('../tokenpattern');
 
 class TokenNode extends ASTNode {
     #nameToken;
@@ -42,6 +43,31 @@ class TokenNode extends ASTNode {
         return this.#nameToken.lexeme;
     }
 
+    /**
+     * The quoted pattern of the token.
+     * @type {string}
+     */
+    get value() {
+        return this.#valueToken.lexeme;
+    }
+
+    /**
+     * True if the token is marked with a !
+     * @type {boolean}
+     */
+    get isNegated() {
+        return this.#negatorToken ? true : false;
+    }
+
+    /**
+     * The lexer mode the token switches to, if any. A 
+     * caret (^) means return to the previous mode.
+     * @type {string}
+     */
+    get lexerMode() {
+        return this.#lexerModeToken?.lexeme ?? '';
+    }
+
     /** @type {NodeParser} */
     parse(state) {
         if (!this.#terminatorToken) {
@@ -49,6 +75,10 @@ class TokenNode extends ASTNode {
             return;
         }
 
+        // An invalid pattern is reported, but the token is still
+        // defined so that references to it resolve.
+        this.#validatePattern(state);
+
         // Push definition
         state.addDefinition(this);
 
@@ -65,6 +95,35 @@ class TokenNode extends ASTNode {
         }
     }
 
+    /**
+     * Reports syntax errors in the pattern of the token, at their
+     * position inside the quotes.
+     * @param {IParseState} state
+     */
+    #validatePattern(state) {
+        const pattern = this.#valueToken.lexeme.slice(1, -1);
+        if (pattern === '') {
+            state.addError(
+                'A token pattern cannot be empty',
+                ErrorSeverity.Error,
+                this.#valueToken.range.start.character,
+                this.#valueToken.range.end.character
+            );
+            return;
+        }
+
+        // Offsets in the pattern start after the opening quote
+        const offset = this.#valueToken.range.start.character + 1;
+        parseTokenPattern(pattern).errors.forEach((error) => {
+            state.addError(
+                `Invalid token pattern: ${error.message}`,
+                ErrorSeverity.Error,
+                offset + error.start,
+                offset + Math.max(error.end, error.start + 1)
+            );
+        });
+    }
+
     /**
      * @param {Number} character
      * @returns {Reference|null}
@@ -124,6 +183,24 @@ class TokenNode extends ASTNode {
         return [`${this.name} := ${this.#valueToken.lexeme}${this.#negatorToken?.lexeme ?? ''}${this.#lexerModeToken ? ' [' + this.#lexerModeToken.lexeme + ']' : ''};`]
     }
 
+    getHoverText() {
+        const hoverParts = [
+            '```yantra\n' + this.getFormattedLines()[0] + '\n```'
+        ];
+
+        if (this.isNegated) {
+            hoverParts.push('Negated with `!`: matches are skipped by the lexer');
+        }
+
+        if (this.lexerMode === '^') {
+            hoverParts.push('Returns to the previous lexer mode');
+        } else if (this.lexerMode) {
+            hoverParts.push(`Switches to lexer mode \`${this.lexerMode}\``);
+        }
+
+        return hoverParts.join('\n\n');
+    }
+
     /** @returns {SemanticToken[]} */
     getSemanticTokens() {
         /** @type {SemanticToken[]} */
@@ -0,0 +1,147 @@
+/**
+ * A comment on a line, or the part of a block comment which is
+ * on the line.
+ * @typedef {Object} LineComment
+ * @property {number} start - The column of the first character
+ * @property {number} end - The column after the last character
+ * @property {string} text
+ */
+
+/**
+ * The result of separating the comments of a line from its code.
+ * @typedef {Object} CommentScan
+ * @property {string} code - The line with each comment replaced by
+ * spaces and trailing spaces removed, so that the code keeps its columns
+ * @property {LineComment[]} comments
+ * @property {boolean} inBlockComment - Whether a block comment continues
+ * on the next line
+ */
+
+/**
+ * Separates the // and block comments of a line of a Yantra
+ * document from its code. Comment markers inside double quoted
+ * strings, such as token patterns, do not start comments.
+ * @param {string} lineText
+ * @param {boolean} inBlockComment - Whether the line starts inside a block comment
+ * @returns {CommentScan}
+ */
+function scanComments(lineText, inBlockComment) {
+    /** @type {LineComment[]} */
+    const comments = [];
+    let code = '';
+    let inString = false;
+    let commentStart = inBlockComment ? 0 : -1;
+
+    const addComment = (end) => {
+        comments.push({ start: commentStart, end, text: lineText.slice(commentStart, end) });
+        code += ' '.repeat(end - commentStart);
+        commentStart = -1;
+    };
+
+    let i = 0;
+    while (i < lineText.length) {
+        const ch = lineText[i];
+        const next = lineText[i + 1];
+
+        if (commentStart >= 0) {
+            // Inside a block comment, look for its end
+            if (ch === '*' && next === '/') {
+                addComment(i + 2);
+                i += 2;
+            } else {
+                i++;
+            }
+        } else if (inString) {
+            code += ch;
+            if (ch === '\\' && next !== undefined) {
+                code += next;
+                i++;
+            } else if (ch === '"') {
+                inString = false;
+            }
+            i++;
+        } else if (ch === '/' && next === '/') {
+            commentStart = i;
+            addComment(lineText.length);
+            i = lineText.length;
+        } else if (ch === '/' && next === '*') {
+            commentStart = i;
+            i += 2;
+        } else {
+            if (ch === '"') inString = true;
+            code += ch;
+            i++;
+        }
+    }
+
+    const continues = commentStart >= 0;
+    if (continues) addComment(lineText.length);
+
+    return {
+        code: comments.length > 0 ? code.trimEnd() : lineText,
+        comments,
+        inBlockComment: continues
+    };
+}
+
+/**
+ * Removes the comment markers of a line of a comment. Lines of
+ * a /// comment are markdown, and all others are plain text.
+ * @param {string} commentText
+ * @returns {{content: string, isMarkdown: boolean}}
+ */
+function getCommentContent(commentText) {
+    const text = commentText.trim();
+    if (text.startsWith('///')) {
+        return { content: text.replace(/^\/\/\/ ?/, ''), isMarkdown: true };
+    }
+    if (text.startsWith('//')) {
+        return { content: text.replace(/^\/\/ ?/, '').trim(), isMarkdown: false };
+    }
+
+    // A line of a block comment, with or without a leading *
+    const content = text
+        .replace(/^\/\*+/, '')
+        .replace(/\*+\/$/, '')
+        .replace(/^\*(?!\/)/, '')
+        .trim();
+    return { content, isMarkdown: false };
+}
+
+/**
+ * Converts the lines of a doc comment to markdown. Lines of a
+ * /// comment are used as they are, and other lines are escaped
+ * and keep their line breaks.
+ * @param {string[]} commentTexts
+ * @returns {string}
+ */
+function docCommentToMarkdown(commentTexts) {
+    const lines = commentTexts.map((commentText) => {
+        const { content, isMarkdown } = getCommentContent(commentText);
+        if (isMarkdown || content === '') return content;
+
+        return content.replace(/[\\`*_{}[\]()#+\-.!<>|]/g, '\\$&') + '  ';
+    });
+
+    return lines.join('\n').trim();
+}
+
+/**
+ * Returns the first line of a doc comment which is not empty,
+ * without its comment markers.
+ * @param {string[]} commentTexts
+ * @returns {string}
+ */
+function docCommentSummary(commentTexts) {
+    for (const commentText of commentTexts) {
+        const { content } = getCommentContent(commentText);
+        if (content !== '') return content;
+    }
+    return '';
+}
+
+module.exports = {
+    scanComments,
+    docCommentToMarkdown,
+    docCommentSummary
+};
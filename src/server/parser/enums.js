@@ -10,6 +10,44 @@ const ErrorSeverity = {
     Hint: 4
 }
 
+/**
+ * Enumeration for structured diagnostic codes. Code actions
+ * use these to identify the diagnostics they can fix.
+ * @readonly
+ * @enum {string}
+ */
+const DiagnosticCode = {
+    UndefinedToken: 'undefined-token',
+    UndefinedRule: 'undefined-rule',
+    UndefinedLexerMode: 'undefined-lexermode',
+    UndefinedCodeBlock: 'undefined-codeblock',
+    Conflict: 'conflict',
+    UnreachableRule: 'unreachable-rule',
+    NonProductiveRule: 'nonproductive-rule',
+    UnusedToken: 'unused-token',
+    ShadowedToken: 'shadowed-token',
+    OverlappingTokens: 'overlapping-tokens',
+    EmptyLexerMode: 'empty-lexermode',
+    UnenteredLexerMode: 'unentered-lexermode',
+    NonReturningLexerMode: 'nonreturning-lexermode',
+    CircularLexerInclude: 'circular-lexer-include',
+    DuplicatePrecedence: 'duplicate-precedence',
+    UnusedPrecedence: 'unused-precedence',
+    MissingPrecedence: 'missing-precedence',
+    DuplicateAlternative: 'duplicate-alternative',
+    UnknownAlias: 'unknown-alias'
+}
+
+/**
+ * Enumeration of diagnostic tags.
+ * @readonly
+ * @enum {Number}
+ */
+const DiagnosticTag = {
+    Unnecessary: 1,
+    Deprecated: 2
+}
+
 /**
  * Enumeration for Parser statuses.
  * @enum {Symbol}
@@ -27,10 +65,10 @@ const ParserStatus = {
  * @enum {RegExp}
  */
 const SyntaxPattern = {
-    Comment: /^\s*?\/\/.*?$/,
     Pragma: /^\s*?%([a-z_]+)(?:\s+(.*?))?(;)?$/d,
     TokenDefinition: /^\s*?([A-Z][A-Z0-9_]*?)\s*?(:=)\s*?(".*?")(!)?\s*?(?:\[([A-Za-z][A-Za-z0-9_]*?|\^)\])?\s*?(;)?\s*?$/d,
     RuleDefinition: /^\s*?([a-z]\w*?)\s*?(?:\(([a-z]\w*?)\)\s*?)?(:=)\s*?(.*?)(;)?\s*?$/d,
+    RuleContinuation: /^(?!.*:=)\s*?([\^a-zA-Z].*?)(;)?\s*?$/d,
     CodeBlockName: /^@(\w+)(?:::(\w+))?\s*?$/d
 }
 
@@ -160,6 +198,8 @@ const SemanticTokenModifier = {
 };
 
 Object.freeze(ErrorSeverity);
+Object.freeze(DiagnosticCode);
+Object.freeze(DiagnosticTag);
 Object.freeze(ParserStatus);
 Object.freeze(SyntaxPattern);
 Object.freeze(ElementPattern);
@@ -171,6 +211,8 @@ Object.freeze(SemanticTokenModifier);
 
 module.exports = {
     ErrorSeverity,
+    DiagnosticCode,
+    DiagnosticTag,
     ParserStatus,
     SyntaxPattern,
     ElementPattern,
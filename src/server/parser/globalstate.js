@@ -5,9 +5,12 @@
  * @typedef {import('./types').YantraDefinition} YantraDefinition
  * @typedef {import('./types').Reference} Reference
  * @typedef {import('./types').ForwardReference} ForwardReference
+ * @typedef {import('./types').GlobalCheckpoint} GlobalCheckpoint
+ * @typedef {import('./types').DiagnosticTag} DiagnosticTag
+ * @typedef {import('./types').RelatedInformation} RelatedInformation
  */
 
-const { ErrorSeverity } = require('./enums');
+const { ErrorSeverity, DiagnosticCode } = require('./enums');
 const { ASTNode } = require('./ast/astcore');
 
 /**
@@ -20,6 +23,11 @@ class GlobalState {
     #definitionsMap;
     /** @type {ForwardReference[]} */
     #forwardReferences;
+    /**
+     * All definitions, in the order they were added.
+     * @type {ASTNode[]}
+     */
+    #definitionLog;
 
     /** @type {string} */
     className = '';
@@ -36,6 +44,7 @@ class GlobalState {
         this.#errors = errors;
         this.#definitionsMap = definitionsMap;
         this.#forwardReferences = [];
+        this.#definitionLog = [];
     }
 
     /** @type YantraError[] */
@@ -53,6 +62,11 @@ class GlobalState {
         return this.#forwardReferences;
     }
 
+    /** @type {ASTNode[]} */
+    get definitionLog() {
+        return this.#definitionLog;
+    }
+
     /**
      * Adds a node to the appropriate definitions collection.
      * @param {ASTNode} def
@@ -72,6 +86,7 @@ class GlobalState {
             }
 
             defs?.push(def);
+            this.#definitionLog.push(def);
         }
     }
 
@@ -80,14 +95,32 @@ class GlobalState {
      * @param {string} message 
      * @param {ErrorSeverity} severity 
      * @param {range} range 
+     * @param {DiagnosticCode} [code] - A structured code for the diagnostic
+     * @param {any} [data] - Additional data for code actions
+     * @param {DiagnosticTag[]} [tags] - Tags which change how editors display the diagnostic
+     * @param {RelatedInformation[]} [relatedInformation] - Other places which relate to the error
      */
-    addErrorWithRange(message, severity = ErrorSeverity.Error, range) {
+    addErrorWithRange(message, severity = ErrorSeverity.Error, range, code, data, tags, relatedInformation) {
+        /** @type {YantraError} */
         const newError = {
             severity,
             message,
             range
         }
 
+        if (code) {
+            newError.code = code;
+            newError.data = data;
+        }
+
+        if (tags) {
+            newError.tags = tags;
+        }
+
+        if (relatedInformation) {
+            newError.relatedInformation = relatedInformation;
+        }
+
         this.#errors.push(newError);
     }
 
@@ -199,6 +232,90 @@ class GlobalState {
         });
         return functions;
     }
+
+    /**
+     * Records the current state, so that a later parse can
+     * resume from it.
+     * @returns {GlobalCheckpoint}
+     */
+    createCheckpoint() {
+        return {
+            errorsLength: this.#errors.length,
+            definitionsLength: this.#definitionLog.length,
+            forwardReferences: [...this.#forwardReferences],
+            className: this.className,
+            walkersPragmaDefined: this.walkersPragmaDefined,
+            defaultWalkerName: this.defaultWalkerName,
+            startRuleName: this.startRuleName
+        };
+    }
+
+    /**
+     * Restores state recorded in a checkpoint by a previous parse.
+     * The errors and definitions found by the previous parse, from
+     * an earlier checkpoint (or the start) up to this checkpoint,
+     * are added to the current ones.
+     * @param {GlobalCheckpoint} checkpoint - The checkpoint to restore
+     * @param {YantraError[]} errors - All errors found by the previous parse
+     * @param {ASTNode[]} definitionLog - All definitions found by the previous parse
+     * @param {GlobalCheckpoint} [fromCheckpoint] - An earlier checkpoint of the previous parse
+     */
+    restoreCheckpoint(checkpoint, errors, definitionLog, fromCheckpoint) {
+        this.#errors.push(...errors.slice(
+            fromCheckpoint?.errorsLength ?? 0,
+            checkpoint.errorsLength
+        ));
+
+        definitionLog.slice(
+            fromCheckpoint?.definitionsLength ?? 0,
+            checkpoint.definitionsLength
+        ).forEach(def => this.addDefinition(def));
+
+        this.#forwardReferences = [...checkpoint.forwardReferences];
+        this.className = checkpoint.className;
+        this.walkersPragmaDefined = checkpoint.walkersPragmaDefined;
+        this.defaultWalkerName = checkpoint.defaultWalkerName;
+        this.startRuleName = checkpoint.startRuleName;
+    }
+
+    /**
+     * Returns true if the current state would parse the remaining
+     * lines exactly as the state recorded in a checkpoint by a 
+     * previous parse did. This is so if the same names have been
+     * defined in the same order, the same forward references are
+     * pending, and the same pragmas are in effect.
+     * @param {GlobalCheckpoint} checkpoint - A checkpoint of the previous parse
+     * @param {ASTNode[]} definitionLog - All definitions found by the previous parse
+     * @returns {boolean}
+     */
+    matchesCheckpoint(checkpoint, definitionLog) {
+        if (
+            this.className !== checkpoint.className ||
+            this.walkersPragmaDefined !== checkpoint.walkersPragmaDefined ||
+            this.defaultWalkerName !== checkpoint.defaultWalkerName ||
+            this.startRuleName !== checkpoint.startRuleName ||
+            this.#definitionLog.length !== checkpoint.definitionsLength ||
+            this.#forwardReferences.length !== checkpoint.forwardReferences.length
+        ) {
+            return false;
+        }
+
+        const sameForwardReferences = this.#forwardReferences.every((ref, i) => {
+            const other = checkpoint.forwardReferences[i];
+            return ref.name === other.name &&
+                ref.type === other.type &&
+                ref.range.start.line === other.range.start.line &&
+                ref.range.start.character === other.range.start.character &&
+                ref.range.end.line === other.range.end.line &&
+                ref.range.end.character === other.range.end.character;
+        });
+        if (!sameForwardReferences) return false;
+
+        return this.#definitionLog.every((def, i) =>
+            def.type === definitionLog[i].type &&
+            def.name === definitionLog[i].name
+        );
+    }
 }
 
 module.exports = {
@@ -0,0 +1,390 @@
+/**
+ * @typedef {import('./ast/rule').RuleNode} RuleNode
+ * @typedef {import('./ast/associativitypragma').AssociativityPragmaNode} AssociativityPragmaNode
+ */
+
+const { ElementPattern } = require('./enums');
+
+/** The token at the end of the input */
+const END_OF_INPUT = '$end';
+
+/**
+ * The precedence of a token, declared by a %left, %right or
+ * %token pragma.
+ * @typedef {Object} Precedence
+ * @property {number} level - 1 for the first pragma, increasing with each pragma
+ * @property {string} associativity - left, right, or token for none
+ */
+
+/**
+ * A single alternative of a rule.
+ * @typedef {Object} Production
+ * @property {number} index - Position in the list of productions
+ * @property {string} lhs - The rule name
+ * @property {string[]} rhs - The names of the tokens and rules in the alternative
+ * @property {RuleNode|undefined} rule - The definition, undefined for synthesized productions
+ * @property {Precedence|undefined} precedence - Taken from the last token of the alternative
+ */
+
+/**
+ * The context-free grammar described by the rule definitions and
+ * precedence pragmas of a Yantra document.
+ */
+class Grammar {
+    /** @type {Production[]} */
+    #productions = [];
+    /** @type {Map<string, Production[]>} */
+    #productionsByRule = new Map();
+    /** @type {Set<string>} */
+    #tokens = new Set();
+    /** @type {Map<string, Precedence>} */
+    #precedence = new Map();
+    #precedenceLevelCount;
+    #startRuleName;
+
+    /** @type {Set<string>} */
+    #nullable = new Set();
+    /** @type {Map<string, Set<string>>} */
+    #first = new Map();
+    /**
+     * Computed when first needed.
+     * @type {Map<string, Set<string>>|undefined}
+     */
+    #follow;
+
+    /**
+     * @param {Map<string, RuleNode[]>} ruleDefinitions - Rule definitions by rule name
+     * @param {AssociativityPragmaNode[]} precedencePragmas - In document order
+     * @param {string} startRuleName
+     */
+    constructor(ruleDefinitions, precedencePragmas, startRuleName) {
+        this.#startRuleName = startRuleName;
+        this.#precedenceLevelCount = precedencePragmas.length;
+
+        // Later pragmas declare higher precedence
+        precedencePragmas.forEach((pragma, index) => {
+            pragma.tokenNames.forEach((tokenName) => {
+                this.#precedence.set(tokenName, {
+                    level: index + 1,
+                    associativity: pragma.associativity
+                });
+            });
+        });
+
+        ruleDefinitions.forEach((rules, ruleName) => {
+            this.#productionsByRule.set(ruleName, []);
+            rules.forEach((rule) => {
+                const rhs = rule.elements.map(element => element.element.lexeme);
+                this.#addProduction(ruleName, rhs, rule);
+            });
+        });
+
+        this.#computeNullableAndFirst();
+    }
+
+    /**
+     * Adds a production to the grammar.
+     * @param {string} lhs
+     * @param {string[]} rhs
+     * @param {RuleNode} [rule]
+     * @returns {Production}
+     */
+    #addProduction(lhs, rhs, rule) {
+        rhs.forEach((symbol) => {
+            if (this.isToken(symbol)) this.#tokens.add(symbol);
+        });
+
+        // Like yacc, an alternative takes the precedence of its
+        // last token.
+        let precedence;
+        for (let i = rhs.length - 1; i >= 0; i--) {
+            if (this.isToken(rhs[i])) {
+                precedence = this.#precedence.get(rhs[i]);
+                break;
+            }
+        }
+
+        /** @type {Production} */
+        const production = {
+            index: this.#productions.length,
+            lhs,
+            rhs,
+            rule,
+            precedence
+        };
+        this.#productions.push(production);
+
+        const ruleProductions = this.#productionsByRule.get(lhs);
+        if (ruleProductions) {
+            ruleProductions.push(production);
+        } else {
+            this.#productionsByRule.set(lhs, [production]);
+        }
+
+        return production;
+    }
+
+    /** @type {Production[]} */
+    get productions() {
+        return this.#productions;
+    }
+
+    /** @type {string} */
+    get startRuleName() {
+        return this.#startRuleName;
+    }
+
+    /**
+     * The number of precedence levels, which is the number of
+     * precedence pragmas.
+     * @type {number}
+     */
+    get precedenceLevelCount() {
+        return this.#precedenceLevelCount;
+    }
+
+    /**
+     * Names of all tokens used by the rules.
+     * @type {Set<string>}
+     */
+    get tokens() {
+        return this.#tokens;
+    }
+
+    /**
+     * Names of all defined rules.
+     * @type {string[]}
+     */
+    get ruleNames() {
+        return Array.from(this.#productionsByRule.keys());
+    }
+
+    /**
+     * A string which is equal for two grammars if and only if they
+     * have the same productions, precedences and start rule.
+     * @type {string}
+     */
+    get signature() {
+        return JSON.stringify([
+            this.#startRuleName,
+            this.#productions.map(production => [production.lhs, production.rhs]),
+            Array.from(this.#precedence)
+        ]);
+    }
+
+    /**
+     * Checks if a grammar symbol is a token. Any other symbol is a rule.
+     * @param {string} symbol
+     * @returns {boolean}
+     */
+    isToken(symbol) {
+        return ElementPattern.TokenName.test(symbol);
+    }
+
+    /**
+     * @param {string} ruleName
+     * @returns {Production[]}
+     */
+    getProductions(ruleName) {
+        return this.#productionsByRule.get(ruleName) ?? [];
+    }
+
+    /**
+     * @param {string} tokenName
+     * @returns {Precedence|undefined}
+     */
+    getPrecedence(tokenName) {
+        return this.#precedence.get(tokenName);
+    }
+
+    /**
+     * Checks if a rule can derive the empty string.
+     * @param {string} ruleName
+     * @returns {boolean}
+     */
+    isNullable(ruleName) {
+        return this.#nullable.has(ruleName);
+    }
+
+    /**
+     * Returns the tokens which can begin a string derived from a symbol.
+     * @param {string} symbol
+     * @returns {Set<string>}
+     */
+    getFirst(symbol) {
+        if (this.isToken(symbol)) return new Set([symbol]);
+        return this.#first.get(symbol) ?? new Set();
+    }
+
+    /**
+     * Returns the tokens which can follow a rule in a sentence
+     * derived from the start rule. The end of the input follows the
+     * start rule, and is included as $end.
+     * @param {string} ruleName
+     * @returns {Set<string>}
+     */
+    getFollow(ruleName) {
+        if (!this.#follow) {
+            this.#follow = this.#computeFollow();
+        }
+        return this.#follow.get(ruleName) ?? new Set();
+    }
+
+    /**
+     * Returns the rules which can be reached from the start rule.
+     * @returns {Set<string>}
+     */
+    getReachableRules() {
+        /** @type {Set<string>} */
+        const reachable = new Set();
+        if (!this.#productionsByRule.has(this.#startRuleName)) return reachable;
+
+        const pending = [this.#startRuleName];
+        reachable.add(this.#startRuleName);
+        while (pending.length > 0) {
+            const ruleName = /** @type {string} */ (pending.pop());
+            this.getProductions(ruleName).forEach((production) => {
+                production.rhs.forEach((symbol) => {
+                    if (this.isToken(symbol) || reachable.has(symbol)) return;
+                    if (!this.#productionsByRule.has(symbol)) return;
+
+                    reachable.add(symbol);
+                    pending.push(symbol);
+                });
+            });
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Returns the rules which can derive a string of tokens. A rule
+     * is productive if any of its alternatives consists of tokens
+     * and productive rules only.
+     * @returns {Set<string>}
+     */
+    getProductiveRules() {
+        /** @type {Set<string>} */
+        const productive = new Set();
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.#productions.forEach((production) => {
+                if (productive.has(production.lhs)) return;
+
+                const derivesTokens = production.rhs.every(
+                    symbol => this.isToken(symbol) || productive.has(symbol)
+                );
+                if (derivesTokens) {
+                    productive.add(production.lhs);
+                    changed = true;
+                }
+            });
+        }
+
+        return productive;
+    }
+
+    /**
+     * Returns the tokens which can begin a string derived from a
+     * sequence of symbols, and whether the sequence can derive the
+     * empty string.
+     * @param {string[]} symbols
+     * @param {number} [from] - The index of the first symbol to consider
+     * @returns {{first: Set<string>, nullable: boolean}}
+     */
+    getFirstOfSequence(symbols, from = 0) {
+        /** @type {Set<string>} */
+        const first = new Set();
+        for (let i = from; i < symbols.length; i++) {
+            const symbol = symbols[i];
+            if (this.isToken(symbol)) {
+                first.add(symbol);
+                return { first, nullable: false };
+            }
+
+            this.#first.get(symbol)?.forEach(token => first.add(token));
+            if (!this.#nullable.has(symbol)) {
+                return { first, nullable: false };
+            }
+        }
+
+        return { first, nullable: true };
+    }
+
+    /**
+     * Computes nullable rules and FIRST sets, by repeating over all
+     * productions until nothing changes.
+     */
+    #computeNullableAndFirst() {
+        this.#productionsByRule.forEach((_, ruleName) => {
+            this.#first.set(ruleName, new Set());
+        });
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.#productions.forEach((production) => {
+                const ruleFirst = this.#first.get(production.lhs);
+                const { first, nullable } = this.getFirstOfSequence(production.rhs);
+
+                first.forEach((token) => {
+                    if (!ruleFirst.has(token)) {
+                        ruleFirst.add(token);
+                        changed = true;
+                    }
+                });
+
+                if (nullable && !this.#nullable.has(production.lhs)) {
+                    this.#nullable.add(production.lhs);
+                    changed = true;
+                }
+            });
+        }
+    }
+
+    /**
+     * Computes FOLLOW sets, by repeating over all productions until
+     * nothing changes.
+     * @returns {Map<string, Set<string>>}
+     */
+    #computeFollow() {
+        /** @type {Map<string, Set<string>>} */
+        const follow = new Map();
+        this.#productionsByRule.forEach((_, ruleName) => {
+            follow.set(ruleName, new Set());
+        });
+
+        follow.get(this.#startRuleName)?.add(END_OF_INPUT);
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.#productions.forEach((production) => {
+                const lhsFollow = /** @type {Set<string>} */ (follow.get(production.lhs));
+
+                production.rhs.forEach((symbol, index) => {
+                    const symbolFollow = follow.get(symbol);
+                    if (!symbolFollow) return;
+
+                    const size = symbolFollow.size;
+                    const { first, nullable } = this.getFirstOfSequence(production.rhs, index + 1);
+                    first.forEach(token => symbolFollow.add(token));
+                    if (nullable) {
+                        lhsFollow.forEach(token => symbolFollow.add(token));
+                    }
+
+                    if (symbolFollow.size > size) changed = true;
+                });
+            });
+        }
+
+        return follow;
+    }
+}
+
+module.exports = {
+    END_OF_INPUT,
+    Grammar
+};
@@ -0,0 +1,389 @@
+/**
+ * @typedef {import('./grammar').Grammar} Grammar
+ * @typedef {import('./grammar').Production} Production
+ */
+
+const { END_OF_INPUT } = require('./grammar');
+
+/** Placeholder lookahead, used to find how lookaheads propagate */
+const PROPAGATED = '#';
+
+/**
+ * An LR(0) item: a production with a position in its right hand side.
+ * @typedef {Object} Item
+ * @property {Production} production
+ * @property {number} dot - The number of symbols before the position
+ */
+
+/**
+ * A parsing conflict which precedence does not resolve.
+ * @typedef {Object} Conflict
+ * @property {'shift/reduce'|'reduce/reduce'} kind
+ * @property {number} state - The automaton state with the conflict
+ * @property {string} token - The lookahead token, or $end
+ * @property {Item[]} shiftItems - Items which shift the token
+ * @property {Production[]} reductions - Productions which reduce on the token
+ */
+
+/**
+ * A state of the LR(0) automaton.
+ * @typedef {Object} LRState
+ * @property {number[]} kernel - Ids of the kernel items
+ * @property {Map<string, number>} transitions - Target state by symbol
+ * @property {Map<number, Set<string>>} lookaheads - LALR(1) lookaheads of the kernel items
+ */
+
+/**
+ * The LALR(1) automaton of a grammar. The LR(0) states are built
+ * first, and lookaheads are then computed by finding which are
+ * generated spontaneously and propagating the rest, as described
+ * in section 4.7.5 of "Compilers: Principles, Techniques and Tools".
+ */
+class LALRAutomaton {
+    #grammar;
+
+    /**
+     * All productions, with the augmented start production first.
+     * @type {Production[]}
+     */
+    #productions;
+
+    /**
+     * Items are numbered consecutively, production by production.
+     * The id of an item is the offset of its production plus its dot.
+     * @type {number[]}
+     */
+    #itemOffsets = [];
+    /** @type {number[]} */
+    #itemProductions = [];
+
+    /** @type {LRState[]} */
+    #states = [];
+
+    /**
+     * @param {Grammar} grammar
+     */
+    constructor(grammar) {
+        this.#grammar = grammar;
+
+        /** @type {Production} */
+        const startProduction = {
+            index: -1,
+            lhs: '$accept',
+            rhs: [grammar.startRuleName],
+            rule: undefined,
+            precedence: undefined
+        };
+        this.#productions = [startProduction, ...grammar.productions];
+
+        this.#productions.forEach((production, index) => {
+            this.#itemOffsets.push(this.#itemProductions.length);
+            for (let dot = 0; dot <= production.rhs.length; dot++) {
+                this.#itemProductions.push(index);
+            }
+        });
+
+        this.#buildStates();
+        this.#computeLookaheads();
+    }
+
+    /**
+     * Finds the conflicts in the parsing table which are not
+     * resolved by token precedence.
+     * @returns {Conflict[]}
+     */
+    getConflicts() {
+        /** @type {Conflict[]} */
+        const conflicts = [];
+
+        this.#states.forEach((state, stateIndex) => {
+            const closure = this.#closeWithLookaheads(state.lookaheads);
+
+            /** @type {Map<string, Item[]>} */
+            const shifts = new Map();
+            /** @type {Map<string, Production[]>} */
+            const reductions = new Map();
+
+            closure.forEach((lookaheads, itemId) => {
+                const item = this.#getItem(itemId);
+                const symbol = item.production.rhs[item.dot];
+
+                if (symbol === undefined) {
+                    lookaheads.forEach((token) => {
+                        const tokenReductions = reductions.get(token);
+                        if (tokenReductions) {
+                            tokenReductions.push(item.production);
+                        } else {
+                            reductions.set(token, [item.production]);
+                        }
+                    });
+                } else if (this.#grammar.isToken(symbol)) {
+                    const tokenShifts = shifts.get(symbol);
+                    if (tokenShifts) {
+                        tokenShifts.push(item);
+                    } else {
+                        shifts.set(symbol, [item]);
+                    }
+                }
+            });
+
+            reductions.forEach((tokenReductions, token) => {
+                if (tokenReductions.length > 1) {
+                    conflicts.push({
+                        kind: 'reduce/reduce',
+                        state: stateIndex,
+                        token,
+                        shiftItems: [],
+                        reductions: tokenReductions
+                    });
+                }
+
+                const shiftItems = shifts.get(token);
+                if (!shiftItems) return;
+
+                const unresolved = tokenReductions.filter(
+                    production => !this.#isResolvedByPrecedence(production, token)
+                );
+                if (unresolved.length > 0) {
+                    conflicts.push({
+                        kind: 'shift/reduce',
+                        state: stateIndex,
+                        token,
+                        shiftItems,
+                        reductions: unresolved
+                    });
+                }
+            });
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Checks if a shift/reduce conflict can be resolved using the
+     * precedence of the token and the production.
+     * @param {Production} production
+     * @param {string} token
+     * @returns {boolean}
+     */
+    #isResolvedByPrecedence(production, token) {
+        return production.precedence !== undefined &&
+            this.#grammar.getPrecedence(token) !== undefined;
+    }
+
+    /**
+     * Returns an item by id.
+     * @param {number} itemId
+     * @returns {Item}
+     */
+    #getItem(itemId) {
+        const productionIndex = this.#itemProductions[itemId];
+        return {
+            production: this.#productions[productionIndex],
+            dot: itemId - this.#itemOffsets[productionIndex]
+        };
+    }
+
+    /**
+     * Returns the symbol after the dot of an item, or undefined
+     * if the dot is at the end.
+     * @param {number} itemId
+     * @returns {string|undefined}
+     */
+    #getSymbolAfterDot(itemId) {
+        const productionIndex = this.#itemProductions[itemId];
+        const dot = itemId - this.#itemOffsets[productionIndex];
+        return this.#productions[productionIndex].rhs[dot];
+    }
+
+    /**
+     * Returns the ids of the initial items of the productions of a rule.
+     * @param {string} ruleName
+     * @returns {number[]}
+     */
+    #getInitialItems(ruleName) {
+        return this.#grammar.getProductions(ruleName).map(
+            // Grammar productions are offset by the start production
+            production => this.#itemOffsets[production.index + 1]
+        );
+    }
+
+    /**
+     * Builds the LR(0) states, starting with the closure of the
+     * augmented start production.
+     */
+    #buildStates() {
+        /** @type {Map<string, number>} */
+        const stateIds = new Map();
+
+        /**
+         * @param {number[]} kernel
+         * @returns {number}
+         */
+        const addState = (kernel) => {
+            const key = kernel.join(',');
+            const existing = stateIds.get(key);
+            if (existing !== undefined) return existing;
+
+            const id = this.#states.length;
+            stateIds.set(key, id);
+            this.#states.push({
+                kernel,
+                transitions: new Map(),
+                lookaheads: new Map(kernel.map(itemId => [itemId, new Set()]))
+            });
+            return id;
+        };
+
+        addState([0]);
+
+        for (let i = 0; i < this.#states.length; i++) {
+            const state = this.#states[i];
+
+            /** @type {Map<string, number[]>} */
+            const gotoKernels = new Map();
+            this.#close(state.kernel).forEach((itemId) => {
+                const symbol = this.#getSymbolAfterDot(itemId);
+                if (symbol === undefined) return;
+
+                const gotoKernel = gotoKernels.get(symbol);
+                if (gotoKernel) {
+                    gotoKernel.push(itemId + 1);
+                } else {
+                    gotoKernels.set(symbol, [itemId + 1]);
+                }
+            });
+
+            gotoKernels.forEach((kernel, symbol) => {
+                kernel.sort((a, b) => a - b);
+                state.transitions.set(symbol, addState(kernel));
+            });
+        }
+    }
+
+    /**
+     * Returns the LR(0) closure of a set of items.
+     * @param {number[]} kernel
+     * @returns {number[]}
+     */
+    #close(kernel) {
+        const items = [...kernel];
+        const added = new Set(kernel);
+        /** @type {Set<string>} */
+        const expandedRules = new Set();
+
+        for (let i = 0; i < items.length; i++) {
+            const symbol = this.#getSymbolAfterDot(items[i]);
+            if (symbol === undefined || this.#grammar.isToken(symbol)) continue;
+            if (expandedRules.has(symbol)) continue;
+            expandedRules.add(symbol);
+
+            this.#getInitialItems(symbol).forEach((itemId) => {
+                if (!added.has(itemId)) {
+                    added.add(itemId);
+                    items.push(itemId);
+                }
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Returns the LR(1) closure of a set of items, with the set of
+     * lookaheads of each item.
+     * @param {Map<number, Set<string>>} kernel
+     * @returns {Map<number, Set<string>>}
+     */
+    #closeWithLookaheads(kernel) {
+        /** @type {Map<number, Set<string>>} */
+        const closure = new Map();
+        kernel.forEach((lookaheads, itemId) => closure.set(itemId, new Set(lookaheads)));
+
+        // Items whose lookaheads have to be passed on to the items
+        // they add to the closure.
+        const pending = new Set(closure.keys());
+        while (pending.size > 0) {
+            const itemId = /** @type {number} */ (pending.values().next().value);
+            pending.delete(itemId);
+            const symbol = this.#getSymbolAfterDot(itemId);
+            if (symbol === undefined || this.#grammar.isToken(symbol)) continue;
+
+            // The lookaheads of the new items are the tokens that can
+            // follow the symbol in this item.
+            const { production, dot } = this.#getItem(itemId);
+            const { first, nullable } = this.#grammar.getFirstOfSequence(production.rhs, dot + 1);
+            if (nullable) {
+                closure.get(itemId)?.forEach(token => first.add(token));
+            }
+
+            this.#getInitialItems(symbol).forEach((initialItemId) => {
+                let lookaheads = closure.get(initialItemId);
+                if (!lookaheads) {
+                    lookaheads = new Set();
+                    closure.set(initialItemId, lookaheads);
+                }
+
+                const size = lookaheads.size;
+                first.forEach(token => lookaheads.add(token));
+                if (lookaheads.size > size) {
+                    pending.add(initialItemId);
+                }
+            });
+        }
+
+        return closure;
+    }
+
+    /**
+     * Computes the LALR(1) lookaheads of the kernel items of each state.
+     */
+    #computeLookaheads() {
+        this.#states[0].lookaheads.get(0)?.add(END_OF_INPUT);
+
+        /**
+         * Lookaheads propagate from the kernel item of a state to the
+         * kernel item of another.
+         * @type {{from: Set<string>, to: Set<string>}[]}
+         */
+        const propagations = [];
+
+        this.#states.forEach((state) => {
+            state.lookaheads.forEach((kernelLookaheads, kernelItemId) => {
+                const closure = this.#closeWithLookaheads(
+                    new Map([[kernelItemId, new Set([PROPAGATED])]])
+                );
+
+                closure.forEach((lookaheads, itemId) => {
+                    const symbol = this.#getSymbolAfterDot(itemId);
+                    if (symbol === undefined) return;
+
+                    const target = this.#states[/** @type {number} */ (state.transitions.get(symbol))];
+                    const targetLookaheads = /** @type {Set<string>} */ (target.lookaheads.get(itemId + 1));
+
+                    lookaheads.forEach((token) => {
+                        if (token === PROPAGATED) {
+                            propagations.push({ from: kernelLookaheads, to: targetLookaheads });
+                        } else {
+                            targetLookaheads.add(token);
+                        }
+                    });
+                });
+            });
+        });
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            propagations.forEach(({ from, to }) => {
+                const size = to.size;
+                from.forEach(token => to.add(token));
+                if (to.size > size) changed = true;
+            });
+        }
+    }
+}
+
+module.exports = {
+    LALRAutomaton
+};
@@ -0,0 +1,228 @@
+/**
+ * @typedef {import('./ast/astcore').ASTNode} ASTNode
+ */
+
+const {
+    LexerIncludePragmaNode,
+    LexerModePragmaNode,
+    TokenNode
+} = require('./ast/nodetypes');
+
+/** The name of the mode of tokens defined before any %lexer_mode pragma */
+const DEFAULT_LEXER_MODE = '';
+
+/** The lexer mode suffix of a token which returns to the previous mode */
+const PREVIOUS_LEXER_MODE = '^';
+
+/**
+ * A %lexer_include pragma which is part of a chain of includes
+ * leading back to the mode it appears in.
+ * @typedef {Object} IncludeCycle
+ * @property {LexerIncludePragmaNode} include
+ * @property {string[]} modeNames - The modes in the chain, starting and ending with the including mode
+ */
+
+/**
+ * The lexer modes of a Yantra document, the tokens of each, and the
+ * transitions between them. The lexer starts in the default mode.
+ * A token with a [mode] suffix enters that mode, and a token with a
+ * [^] suffix returns to the mode which was active before.
+ */
+class LexerModeGraph {
+    /**
+     * Tokens and names of included modes of each mode, in document order.
+     * @type {Map<string, (TokenNode|LexerIncludePragmaNode)[]>}
+     */
+    #entries = new Map([[DEFAULT_LEXER_MODE, []]]);
+    /**
+     * The first %lexer_mode pragma of each mode.
+     * @type {Map<string, LexerModePragmaNode>}
+     */
+    #definitions = new Map();
+    /**
+     * Tokens of each mode, with included tokens. Computed when first needed.
+     * @type {Map<string, TokenNode[]>}
+     */
+    #tokens = new Map();
+
+    /**
+     * @param {(ASTNode|undefined)[]} nodes - The nodes of the document
+     * @param {Set<TokenNode>} definedTokens - The tokens which were defined
+     * without errors. Other tokens are ignored.
+     */
+    constructor(nodes, definedTokens) {
+        let currentEntries = /** @type {(TokenNode|LexerIncludePragmaNode)[]} */ (
+            this.#entries.get(DEFAULT_LEXER_MODE)
+        );
+
+        for (const node of nodes) {
+            if (node instanceof LexerModePragmaNode && node.name) {
+                currentEntries = this.#entries.get(node.name) ?? [];
+                this.#entries.set(node.name, currentEntries);
+                if (!this.#definitions.has(node.name)) {
+                    this.#definitions.set(node.name, node);
+                }
+            } else if (node instanceof LexerIncludePragmaNode && node.modeName) {
+                currentEntries.push(node);
+            } else if (node instanceof TokenNode && definedTokens.has(node)) {
+                currentEntries.push(node);
+            }
+        }
+    }
+
+    /**
+     * Names of all modes, starting with the default mode.
+     * @type {string[]}
+     */
+    get modeNames() {
+        return Array.from(this.#entries.keys());
+    }
+
+    /**
+     * Returns the first %lexer_mode pragma of a mode.
+     * @param {string} modeName
+     * @returns {LexerModePragmaNode|undefined}
+     */
+    getDefinition(modeName) {
+        return this.#definitions.get(modeName);
+    }
+
+    /**
+     * Returns the tokens of a mode in the order in which the lexer
+     * tries them. Tokens of an included mode are placed where it
+     * is included.
+     * @param {string} modeName
+     * @returns {TokenNode[]}
+     */
+    getTokens(modeName) {
+        let tokens = this.#tokens.get(modeName);
+        if (!tokens) {
+            tokens = [];
+            this.#addTokens(modeName, new Set(), tokens);
+            this.#tokens.set(modeName, tokens);
+        }
+        return tokens;
+    }
+
+    /**
+     * @param {string} modeName
+     * @param {Set<string>} including - Modes being expanded, to stop circular includes
+     * @param {TokenNode[]} tokens
+     */
+    #addTokens(modeName, including, tokens) {
+        if (including.has(modeName)) return;
+        including.add(modeName);
+
+        this.#entries.get(modeName)?.forEach((entry) => {
+            if (entry instanceof LexerIncludePragmaNode) {
+                this.#addTokens(entry.modeName, including, tokens);
+            } else if (!tokens.includes(entry)) {
+                tokens.push(entry);
+            }
+        });
+
+        including.delete(modeName);
+    }
+
+    /**
+     * Returns the modes which the lexer can enter, starting from the
+     * default mode.
+     * @returns {Set<string>}
+     */
+    getEnteredModes() {
+        const entered = new Set([DEFAULT_LEXER_MODE]);
+        const pending = [DEFAULT_LEXER_MODE];
+        while (pending.length > 0) {
+            const modeName = /** @type {string} */ (pending.pop());
+            this.getTokens(modeName).forEach((token) => {
+                const target = token.lexerMode;
+                if (!target || target === PREVIOUS_LEXER_MODE) return;
+                if (entered.has(target) || !this.#entries.has(target)) return;
+
+                entered.add(target);
+                pending.push(target);
+            });
+        }
+        return entered;
+    }
+
+    /**
+     * Checks if a mode is included by a %lexer_include pragma in
+     * any mode. The tokens of such a mode are used even if the
+     * lexer never enters it.
+     * @param {string} modeName
+     * @returns {boolean}
+     */
+    isIncluded(modeName) {
+        for (const entries of this.#entries.values()) {
+            const included = entries.some(
+                entry => entry instanceof LexerIncludePragmaNode && entry.modeName === modeName
+            );
+            if (included) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks if the lexer can leave a mode, to return to the mode
+     * which entered it. This needs a token with a [^] suffix.
+     * @param {string} modeName
+     * @returns {boolean}
+     */
+    canReturn(modeName) {
+        return this.getTokens(modeName).some(
+            token => token.lexerMode === PREVIOUS_LEXER_MODE
+        );
+    }
+
+    /**
+     * Finds the %lexer_include pragmas which lead, through other
+     * includes, back to the mode they appear in.
+     * @returns {IncludeCycle[]}
+     */
+    getIncludeCycles() {
+        /** @type {IncludeCycle[]} */
+        const cycles = [];
+
+        this.#entries.forEach((entries, modeName) => {
+            entries.forEach((entry) => {
+                if (!(entry instanceof LexerIncludePragmaNode)) return;
+
+                const path = this.#findIncludePath(entry.modeName, modeName, new Set());
+                if (path) {
+                    cycles.push({ include: entry, modeNames: [modeName, ...path] });
+                }
+            });
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Finds a chain of includes from one mode to another. Returns the
+     * modes in the chain, or undefined if there is none.
+     * @param {string} from
+     * @param {string} to
+     * @param {Set<string>} visited
+     * @returns {string[]|undefined}
+     */
+    #findIncludePath(from, to, visited) {
+        if (from === to) return [to];
+        if (visited.has(from)) return undefined;
+        visited.add(from);
+
+        for (const entry of this.#entries.get(from) ?? []) {
+            if (!(entry instanceof LexerIncludePragmaNode)) continue;
+
+            const path = this.#findIncludePath(entry.modeName, to, visited);
+            if (path) return [from, ...path];
+        }
+
+        return undefined;
+    }
+}
+
+module.exports = {
+    DEFAULT_LEXER_MODE,
+    LexerModeGraph
+};
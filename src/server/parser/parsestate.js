@@ -5,6 +5,8 @@
  * @typedef {import('./types').CodeBlockName} CodeBlockName
  * @typedef {import('./types').range} range
  * @typedef {import('./types').Reference} Reference
+ * @typedef {import('./types').ParseCheckpoint} ParseCheckpoint
+ * @typedef {import('./types').RelatedInformation} RelatedInformation
  */
 
 const { LexicalToken } = require("./lexicaltoken");
@@ -92,6 +94,17 @@ class ParseState {
      */
     expectNamedCodeBlock = false;
 
+    /**
+     * The next line parsed can continue the current rule
+     * definition with more elements.
+     */
+    expectRuleContinuation = false;
+
+    /**
+     * The current line starts inside a block comment.
+     */
+    inBlockComment = false;
+
     /**
      * 
      * @param {IGlobalState} globalState 
@@ -274,13 +287,22 @@ class ParseState {
      * @param {ErrorSeverity} [severity] - The error severity. Default is Error.
      * @param {Number} [startColumn] - The column on the current line where the diagnostic context begins. By default the start of the line.
      * @param {Number} [endColumn] - The column on the current line where the diagnostic context ends. By default the end of the line.
+     * @param {RelatedInformation[]} [relatedInformation] - Other places which relate to the error
      */
-    addError(message, severity = ErrorSeverity.Error, startColumn, endColumn) {
+    addError(message, severity = ErrorSeverity.Error, startColumn, endColumn, relatedInformation) {
         const range = {
             start: { line: this.#line, character: startColumn ?? 0 },
             end: { line: this.#line, character: endColumn ?? this.#lineText.length }
         }
-        this.#globalState.addErrorWithRange(message, severity, range);
+        this.#globalState.addErrorWithRange(
+            message,
+            severity,
+            range,
+            undefined,
+            undefined,
+            undefined,
+            relatedInformation
+        );
         this.#errorCount++;
     }
 
@@ -432,6 +454,19 @@ class ParseState {
 
         this.expectNamedCodeBlock = true;
         this.expectCodeBlock = true;
+        this.expectRuleContinuation = true;
+    }
+
+    /**
+     * Indicate that the current rule definition was ended by a
+     * semicolon on a line continuing it, so no code block follows.
+     */
+    terminateMultilineRule() {
+        this.#currentRule = undefined;
+        this.expectNamedCodeBlock = false;
+        this.expectCodeBlock = false;
+        this.expectRuleContinuation = false;
+        this.resetCodeBlockName();
     }
 
     resetRuleDef() {
@@ -446,6 +481,74 @@ class ParseState {
     setStartRuleName(name) {
         this.#globalState.startRuleName = name;
     }
+
+    /**
+     * True if parsing can be resumed from the current line with
+     * a checkpoint. This is so if no code block has been started
+     * or is expected, and the line does not start inside a block
+     * comment.
+     * @type {boolean}
+     * @readonly
+     */
+    get isCheckpointSafe() {
+        return !this.#inCodeBlock && !this.expectCodeBlock && !this.inBlockComment;
+    }
+
+    /**
+     * Records the state before the current line is parsed, so
+     * that a later parse can resume from it.
+     * @returns {ParseCheckpoint}
+     */
+    createCheckpoint() {
+        return {
+            line: this.#line,
+            errorCount: this.#errorCount,
+            className: this.className,
+            walkersPragmaDefined: this.walkersPragmaDefined,
+            defaultWalker: this.defaultWalker,
+            currentRule: this.#currentRule,
+            expectNamedCodeBlock: this.expectNamedCodeBlock,
+            codeBlockName: this.codeBlockName ? { ...this.codeBlockName } : undefined,
+            global: this.#globalState.createCheckpoint()
+        };
+    }
+
+    /**
+     * Restores the state recorded in a checkpoint. Global state
+     * is restored separately.
+     * @param {ParseCheckpoint} checkpoint 
+     */
+    restoreCheckpoint(checkpoint) {
+        this.#errorCount = checkpoint.errorCount;
+        this.className = checkpoint.className;
+        this.walkersPragmaDefined = checkpoint.walkersPragmaDefined;
+        this.defaultWalker = checkpoint.defaultWalker;
+        this.#currentRule = checkpoint.currentRule;
+        this.expectNamedCodeBlock = checkpoint.expectNamedCodeBlock;
+        this.codeBlockName = checkpoint.codeBlockName ? { ...checkpoint.codeBlockName } : undefined;
+        this.expectCodeBlock = false;
+        this.expectRuleContinuation = false;
+        this.#inCodeBlock = false;
+        this.#currentCodeBlock = undefined;
+    }
+
+    /**
+     * Returns true if the current state, apart from the error
+     * count and global state, is the same as the state recorded
+     * in a checkpoint.
+     * @param {ParseCheckpoint} checkpoint 
+     * @returns {boolean}
+     */
+    matchesCheckpoint(checkpoint) {
+        return this.isCheckpointSafe &&
+            this.className === checkpoint.className &&
+            this.walkersPragmaDefined === checkpoint.walkersPragmaDefined &&
+            this.defaultWalker === checkpoint.defaultWalker &&
+            this.inRuleDef === (checkpoint.currentRule ? true : false) &&
+            this.expectNamedCodeBlock === checkpoint.expectNamedCodeBlock &&
+            this.codeBlockName?.className === checkpoint.codeBlockName?.className &&
+            this.codeBlockName?.functionName === checkpoint.codeBlockName?.functionName;
+    }
 }
 
 
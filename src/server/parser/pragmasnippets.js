@@ -0,0 +1,186 @@
+/**
+ * A snippet and documentation for a Yantra pragma.
+ * @typedef {Object} PragmaSnippet
+ * @property {string} name - The name of the pragma, without the %
+ * @property {string} snippet - The pragma with tab stops for its parameters
+ * @property {string} documentation - Markdown documentation
+ */
+
+/**
+ * Appended to the documentation of pragmas whose parameters the
+ * parser does not yet check.
+ */
+const NOT_VALIDATED = ' The language server does not yet check its parameters.';
+
+/**
+ * Snippets for all pragmas recognized by the parser, including those
+ * which are not yet validated. Snippets include the leading %.
+ * @type {readonly PragmaSnippet[]}
+ */
+const PragmaSnippets = [
+    {
+        name: 'class',
+        snippet: '%class ${1:ClassName};',
+        documentation: 'Sets the name of the generated C++ parser class.'
+    },
+    {
+        name: 'namespace',
+        snippet: '%namespace ${1:name};',
+        documentation: 'Sets the C++ namespace of the generated code.' + NOT_VALIDATED
+    },
+    {
+        name: 'walkers',
+        snippet: '%walkers ${1:Walker};',
+        documentation: 'Declares one or more walkers, separated by spaces. ' +
+            'Each walker is a C++ class which traverses the parse tree. ' +
+            'The first walker is the default walker.'
+    },
+    {
+        name: 'default_walker',
+        snippet: '%default_walker ${1:Walker};',
+        documentation: 'Sets the walker used by code blocks and `%function` ' +
+            'pragmas which do not name a walker. By default, this is the ' +
+            'first walker declared by `%walkers`.'
+    },
+    {
+        name: 'walker_interface',
+        snippet: '%walker_interface ${1:Walker} ${2:BaseClass};',
+        documentation: 'Declares that a walker implements the C++ base class. ' +
+            'The functions of the walker are implemented outside the grammar, ' +
+            'and code blocks for the walker are errors.'
+    },
+    {
+        name: 'members',
+        snippet: '%members ${1:Walker}\n%{\n\t$0\n%}',
+        documentation: 'Adds C++ members to a walker class. The members ' +
+            'are written in the code block which follows.'
+    },
+    {
+        name: 'class_member',
+        snippet: '%class_member ${1:declaration};',
+        documentation: 'Adds a C++ member to the generated parser class.' + NOT_VALIDATED
+    },
+    {
+        name: 'function',
+        snippet: '%function ${1:rule} ${2:Walker}::${3:name}(${4}) -> ${5:void};',
+        documentation: 'Declares a walker function for a rule. Each ' +
+            'alternative of the rule implements it in a code block named ' +
+            '`@Walker::name`. If the walker is omitted, the default walker is used.'
+    },
+    {
+        name: 'start',
+        snippet: '%start ${1:rule};',
+        documentation: 'Sets the start rule of the grammar. By default, ' +
+            'the rule named `start` is the start rule.'
+    },
+    {
+        name: 'left',
+        snippet: '%left ${1:TOKEN};',
+        documentation: 'Declares a precedence level with left associativity ' +
+            'for one or more tokens. Later declarations have higher precedence.'
+    },
+    {
+        name: 'right',
+        snippet: '%right ${1:TOKEN};',
+        documentation: 'Declares a precedence level with right associativity ' +
+            'for one or more tokens. Later declarations have higher precedence.'
+    },
+    {
+        name: 'token',
+        snippet: '%token ${1:TOKEN};',
+        documentation: 'Declares a precedence level without associativity ' +
+            'for one or more tokens. Later declarations have higher precedence.'
+    },
+    {
+        name: 'lexer_mode',
+        snippet: '%lexer_mode ${1:mode};',
+        documentation: 'Starts a lexer mode. Tokens defined after it belong ' +
+            'to the mode, and are matched only while the lexer is in it.'
+    },
+    {
+        name: 'lexer_include',
+        snippet: '%lexer_include ${1:mode};',
+        documentation: 'Includes the tokens of another lexer mode in the ' +
+            'current lexer mode.'
+    },
+    {
+        name: 'fallback',
+        snippet: '%fallback ${1:params};',
+        documentation: 'Declares fallback tokens.' + NOT_VALIDATED
+    },
+    {
+        name: 'encoding',
+        snippet: '%encoding ${1:encoding};',
+        documentation: 'Sets the character encoding of the input.' + NOT_VALIDATED
+    },
+    {
+        name: 'check_unused_tokens',
+        snippet: '%check_unused_tokens ${1|true,false|};',
+        documentation: 'Sets whether tokens which are not used by any ' +
+            'rule are reported. They are not reported unless this pragma ' +
+            'enables it.'
+    },
+    {
+        name: 'auto_resolve',
+        snippet: '%auto_resolve ${1:value};',
+        documentation: 'Sets whether parsing conflicts are resolved ' +
+            'automatically.' + NOT_VALIDATED
+    },
+    {
+        name: 'warn_resolve',
+        snippet: '%warn_resolve ${1:value};',
+        documentation: 'Sets whether automatically resolved parsing ' +
+            'conflicts are reported.' + NOT_VALIDATED
+    },
+    {
+        name: 'walker_output',
+        snippet: '%walker_output ${1:value};',
+        documentation: 'Sets the output generated for walkers.' + NOT_VALIDATED
+    },
+    {
+        name: 'walker_traversal',
+        snippet: '%walker_traversal ${1:value};',
+        documentation: 'Sets how walkers traverse the parse tree.' + NOT_VALIDATED
+    },
+    {
+        name: 'pch_header',
+        snippet: '%pch_header ${1:header};',
+        documentation: 'Sets the precompiled header of the generated code.' + NOT_VALIDATED
+    },
+    {
+        name: 'std_header',
+        snippet: '%std_header ${1:header};',
+        documentation: 'Adds a standard library header to the generated code.' + NOT_VALIDATED
+    },
+    {
+        name: 'hdr_header',
+        snippet: '%hdr_header ${1:header};',
+        documentation: 'Adds a header to the generated header file.' + NOT_VALIDATED
+    },
+    {
+        name: 'src_header',
+        snippet: '%src_header ${1:header};',
+        documentation: 'Adds a header to the generated source file.' + NOT_VALIDATED
+    }
+];
+
+Object.freeze(PragmaSnippets);
+PragmaSnippets.forEach(pragma => Object.freeze(pragma));
+
+/**
+ * Converts a snippet to plain text, by replacing each tab stop with
+ * its placeholder, or the first of its choices.
+ * @param {string} snippet
+ * @returns {string}
+ */
+function snippetToText(snippet) {
+    return snippet
+        .replace(/\$\{\d+:([^}]*)\}/g, '$1')
+        .replace(/\$\{\d+\|([^,|]*)[^}]*\}/g, '$1')
+        .replace(/\$\{\d+\}|\$\d+/g, '');
+}
+
+module.exports = {
+    PragmaSnippets,
+    snippetToText
+};
@@ -0,0 +1,463 @@
+/**
+ * @typedef {import('./tokenpattern').PatternNode} PatternNode
+ * @typedef {import('./tokenpattern').CharSetItem} CharSetItem
+ */
+
+const { MAX_CODE_POINT, parseTokenPattern } = require('./tokenpattern');
+
+/**
+ * A set of code points, as sorted, disjoint and non-adjacent
+ * inclusive ranges.
+ * @typedef {{from: number, to: number}[]} CharRanges
+ */
+
+/**
+ * A state of a nondeterministic automaton.
+ * @typedef {Object} NFAState
+ * @property {number[]} epsilon - States reached without consuming a character
+ * @property {{chars: CharRanges, to: number}[]} edges - States reached by consuming a character
+ */
+
+/**
+ * The result of comparing the languages of two automata.
+ * @typedef {Object} LanguageComparison
+ * @property {string|undefined} example - The shortest non-empty string both match, if any
+ * @property {boolean} includesOther - True if every non-empty string the other
+ * automaton matches is also matched by this one
+ */
+
+/** Patterns which need more states than this are not analyzed */
+const MAX_NFA_STATES = 5000;
+
+/** Comparisons which visit more state pairs than this give up */
+const MAX_VISITED_PAIRS = 10000;
+
+/** @type {Map<string, CharRanges>} */
+const propertyRanges = new Map();
+
+/**
+ * Returns the code points which have a Unicode property. These
+ * are computed once for each property, by testing every code point.
+ * @param {string} property
+ * @returns {CharRanges}
+ */
+function getPropertyRanges(property) {
+    let ranges = propertyRanges.get(property);
+    if (ranges) return ranges;
+
+    ranges = [];
+    const regexp = new RegExp(`^\\p{${property}}$`, 'u');
+    let from = -1;
+    for (let codePoint = 0; codePoint <= MAX_CODE_POINT; codePoint++) {
+        const matches = regexp.test(String.fromCodePoint(codePoint));
+        if (matches && from < 0) {
+            from = codePoint;
+        } else if (!matches && from >= 0) {
+            ranges.push({ from, to: codePoint - 1 });
+            from = -1;
+        }
+    }
+    if (from >= 0) {
+        ranges.push({ from, to: MAX_CODE_POINT });
+    }
+
+    propertyRanges.set(property, ranges);
+    return ranges;
+}
+
+/**
+ * Sorts and merges ranges of code points.
+ * @param {{from: number, to: number}[]} ranges
+ * @returns {CharRanges}
+ */
+function normalizeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.from - b.from);
+
+    /** @type {CharRanges} */
+    const result = [];
+    for (const range of sorted) {
+        const last = result[result.length - 1];
+        if (last && range.from <= last.to + 1) {
+            last.to = Math.max(last.to, range.to);
+        } else {
+            result.push({ from: range.from, to: range.to });
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns the code points which are not in a set.
+ * @param {CharRanges} ranges
+ * @returns {CharRanges}
+ */
+function complementRanges(ranges) {
+    /** @type {CharRanges} */
+    const result = [];
+    let from = 0;
+    for (const range of ranges) {
+        if (range.from > from) {
+            result.push({ from, to: range.from - 1 });
+        }
+        from = range.to + 1;
+    }
+    if (from <= MAX_CODE_POINT) {
+        result.push({ from, to: MAX_CODE_POINT });
+    }
+    return result;
+}
+
+/**
+ * Converts the items of a character set to ranges of code points.
+ * @param {CharSetItem[]} items
+ * @param {boolean} negated
+ * @returns {CharRanges}
+ */
+function itemsToRanges(items, negated) {
+    /** @type {{from: number, to: number}[]} */
+    const ranges = [];
+    for (const item of items) {
+        if ('property' in item) {
+            ranges.push(...getPropertyRanges(item.property));
+        } else if ('items' in item) {
+            ranges.push(...itemsToRanges(item.items, item.negated));
+        } else {
+            ranges.push(item);
+        }
+    }
+
+    const normalized = normalizeRanges(ranges);
+    return negated ? complementRanges(normalized) : normalized;
+}
+
+/**
+ * Checks if a set of code points contains a code point.
+ * @param {CharRanges} ranges
+ * @param {number} codePoint
+ * @returns {boolean}
+ */
+function rangesContain(ranges, codePoint) {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const range = ranges[middle];
+        if (codePoint < range.from) {
+            high = middle - 1;
+        } else if (codePoint > range.to) {
+            low = middle + 1;
+        } else {
+            return true;
+        }
+    }
+    return false;
+}
+
+/** Ranges of readable characters, most readable first */
+const READABLE_RANGES = [[0x61, 0x7a], [0x41, 0x5a], [0x30, 0x39], [0x21, 0x7e], [0x20, 0x20]];
+
+/**
+ * Picks the most readable character in a range of code points, for
+ * use in example strings. Returns the character and its rank, which
+ * is lower for more readable characters.
+ * @param {number} from
+ * @param {number} to
+ * @returns {{codePoint: number, rank: number}}
+ */
+function pickCharacter(from, to) {
+    for (let rank = 0; rank < READABLE_RANGES.length; rank++) {
+        const [first, last] = READABLE_RANGES[rank];
+        if (from <= last && to >= first) {
+            return { codePoint: Math.max(from, first), rank };
+        }
+    }
+    return { codePoint: from, rank: READABLE_RANGES.length };
+}
+
+/**
+ * A nondeterministic finite automaton which recognizes the strings
+ * matched by a token pattern. Anchors are treated as matching the
+ * empty string.
+ */
+class TokenAutomaton {
+    /** @type {NFAState[]} */
+    #states = [];
+    #start = 0;
+    #accept = 0;
+
+    /**
+     * Use TokenAutomaton.fromPattern
+     */
+    constructor() {
+    }
+
+    /**
+     * Builds the automaton of a token pattern. Returns undefined if
+     * the pattern is invalid, or too large to analyze.
+     * @param {string} pattern - The pattern, without the quotes
+     * @returns {TokenAutomaton|undefined}
+     */
+    static fromPattern(pattern) {
+        const { node, errors } = parseTokenPattern(pattern);
+        if (errors.length > 0) return undefined;
+
+        const automaton = new TokenAutomaton();
+        automaton.#start = automaton.#addState();
+        automaton.#accept = automaton.#build(node, automaton.#start);
+        if (automaton.#accept < 0) return undefined;
+
+        return automaton;
+    }
+
+    /**
+     * @returns {number}
+     */
+    #addState() {
+        if (this.#states.length >= MAX_NFA_STATES) return -1;
+
+        this.#states.push({ epsilon: [], edges: [] });
+        return this.#states.length - 1;
+    }
+
+    /**
+     * Adds the states for a pattern node, starting from a state.
+     * Returns the state reached after the node is matched, or -1
+     * if there are too many states.
+     * @param {PatternNode} node
+     * @param {number} from
+     * @returns {number}
+     */
+    #build(node, from) {
+        if (from < 0) return -1;
+
+        switch (node.type) {
+            case 'empty':
+            case 'anchor':
+                return from;
+            case 'chars': {
+                const to = this.#addState();
+                if (to < 0) return -1;
+
+                this.#states[from].edges.push({
+                    chars: itemsToRanges(node.items, node.negated),
+                    to
+                });
+                return to;
+            }
+            case 'sequence':
+                return node.items.reduce((state, item) => this.#build(item, state), from);
+            case 'alternation': {
+                const to = this.#addState();
+                for (const alternative of node.alternatives) {
+                    const end = this.#build(alternative, from);
+                    if (end < 0 || to < 0) return -1;
+                    this.#states[end].epsilon.push(to);
+                }
+                return to;
+            }
+            case 'repeat':
+                return this.#buildRepeat(node.item, node.min, node.max, from);
+        }
+    }
+
+    /**
+     * Adds the states for a repeated node: the node is copied for each
+     * required repetition, and then for each optional repetition, or
+     * looped if there is no maximum.
+     * @param {PatternNode} item
+     * @param {number} min
+     * @param {number} max
+     * @param {number} from
+     * @returns {number}
+     */
+    #buildRepeat(item, min, max, from) {
+        let state = from;
+        for (let i = 0; i < min; i++) {
+            state = this.#build(item, state);
+            if (state < 0) return -1;
+        }
+
+        if (max === Infinity) {
+            const loopStart = this.#addState();
+            if (loopStart < 0) return -1;
+            this.#states[state].epsilon.push(loopStart);
+
+            const loopEnd = this.#build(item, loopStart);
+            if (loopEnd < 0) return -1;
+            this.#states[loopEnd].epsilon.push(loopStart);
+            return loopStart;
+        }
+
+        const to = this.#addState();
+        if (to < 0) return -1;
+        for (let i = min; i < max; i++) {
+            this.#states[state].epsilon.push(to);
+            state = this.#build(item, state);
+            if (state < 0) return -1;
+        }
+        this.#states[state].epsilon.push(to);
+        return to;
+    }
+
+    /**
+     * Returns the states reachable from a set of states without
+     * consuming any character, sorted by id.
+     * @param {number[]} states
+     * @returns {number[]}
+     */
+    #closure(states) {
+        const result = [...states];
+        const added = new Set(states);
+        for (let i = 0; i < result.length; i++) {
+            for (const next of this.#states[result[i]].epsilon) {
+                if (!added.has(next)) {
+                    added.add(next);
+                    result.push(next);
+                }
+            }
+        }
+        return result.sort((a, b) => a - b);
+    }
+
+    /**
+     * Returns the states reached from a set of states by consuming
+     * a character.
+     * @param {number[]} states
+     * @param {number} codePoint
+     * @returns {number[]}
+     */
+    #step(states, codePoint) {
+        /** @type {number[]} */
+        const targets = [];
+        for (const state of states) {
+            for (const edge of this.#states[state].edges) {
+                if (rangesContain(edge.chars, codePoint)) {
+                    targets.push(edge.to);
+                }
+            }
+        }
+        return this.#closure(targets);
+    }
+
+    /**
+     * Adds the boundaries of the characters consumed from a set of
+     * states. Between two consecutive boundaries, every character
+     * leads to the same states.
+     * @param {number[]} states
+     * @param {Set<number>} boundaries
+     */
+    #addBoundaries(states, boundaries) {
+        for (const state of states) {
+            for (const edge of this.#states[state].edges) {
+                for (const range of edge.chars) {
+                    boundaries.add(range.from);
+                    boundaries.add(range.to + 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Compares the strings matched by this automaton and another, by
+     * searching the pairs of their state sets reachable by the same
+     * input, shortest input first.
+     * @param {TokenAutomaton} other
+     * @returns {LanguageComparison}
+     */
+    compare(other) {
+        /** @type {{states: number[], otherStates: number[], parent: number, codePoint: number}[]} */
+        const pairs = [];
+        /** @type {Set<string>} */
+        const visited = new Set();
+
+        /**
+         * @param {number[]} states
+         * @param {number[]} otherStates
+         * @param {number} parent
+         * @param {number} codePoint
+         */
+        const visit = (states, otherStates, parent, codePoint) => {
+            const key = `${states.join(',')}|${otherStates.join(',')}`;
+            if (visited.has(key)) return;
+            visited.add(key);
+            pairs.push({ states, otherStates, parent, codePoint });
+        };
+
+        visit(this.#closure([this.#start]), other.#closure([other.#start]), -1, 0);
+
+        /** @type {number} */
+        let examplePair = -1;
+        let includesOther = true;
+
+        for (let i = 0; i < pairs.length; i++) {
+            if (pairs.length > MAX_VISITED_PAIRS) {
+                includesOther = false;
+                break;
+            }
+
+            const { states, otherStates } = pairs[i];
+
+            // The empty string is never matched as a token
+            if (i > 0) {
+                const accepts = states.includes(this.#accept);
+                const otherAccepts = otherStates.includes(other.#accept);
+                if (accepts && otherAccepts && examplePair < 0) {
+                    examplePair = i;
+                }
+                if (otherAccepts && !accepts) {
+                    includesOther = false;
+                }
+            }
+
+            if (examplePair >= 0 && !includesOther) break;
+
+            /** @type {Set<number>} */
+            const boundaries = new Set();
+            this.#addBoundaries(states, boundaries);
+            other.#addBoundaries(otherStates, boundaries);
+            const sortedBoundaries = [...boundaries].sort((a, b) => a - b);
+
+            // Following more readable characters first makes examples
+            // more readable.
+            const characters = [];
+            for (let b = 0; b + 1 < sortedBoundaries.length; b++) {
+                characters.push(pickCharacter(sortedBoundaries[b], sortedBoundaries[b + 1] - 1));
+            }
+            characters.sort((a, b) => a.rank - b.rank);
+
+            for (const { codePoint } of characters) {
+                const nextOtherStates = other.#step(otherStates, codePoint);
+
+                // Only strings the other automaton can match matter
+                if (nextOtherStates.length === 0) continue;
+
+                const nextStates = this.#step(states, codePoint);
+                if (nextStates.length === 0) {
+                    includesOther = false;
+                    continue;
+                }
+
+                visit(nextStates, nextOtherStates, i, codePoint);
+            }
+        }
+
+        if (examplePair < 0) {
+            return { example: undefined, includesOther: false };
+        }
+
+        /** @type {number[]} */
+        const codePoints = [];
+        for (let i = examplePair; i > 0; i = pairs[i].parent) {
+            codePoints.unshift(pairs[i].codePoint);
+        }
+
+        return {
+            example: String.fromCodePoint(...codePoints),
+            includesOther
+        };
+    }
+}
+
+module.exports = {
+    TokenAutomaton
+};
@@ -0,0 +1,663 @@
+/**
+ * A set of characters in a token pattern.
+ * - {from, to} is an inclusive range of code points.
+ * - {property} is a Unicode property, such as L or Script=Greek.
+ * - {negated, items} is every character not in the items.
+ * @typedef {{from: number, to: number}|{property: string}|{negated: true, items: CharSetItem[]}} CharSetItem
+ */
+
+/**
+ * A node of a parsed token pattern.
+ * @typedef {{type: 'empty'}
+ *  | {type: 'anchor', kind: string}
+ *  | {type: 'chars', negated: boolean, items: CharSetItem[]}
+ *  | {type: 'sequence', items: PatternNode[]}
+ *  | {type: 'alternation', alternatives: PatternNode[]}
+ *  | {type: 'repeat', item: PatternNode, min: number, max: number}
+ * } PatternNode
+ */
+
+/**
+ * An error in a token pattern. The start and end are offsets
+ * in the pattern.
+ * @typedef {Object} PatternError
+ * @property {string} message
+ * @property {number} start
+ * @property {number} end
+ */
+
+/** Characters which are matched by \d */
+const DIGITS = [{ from: 0x30, to: 0x39 }];
+
+/** Characters which are matched by \w */
+const WORD_CHARACTERS = [
+    { from: 0x30, to: 0x39 },
+    { from: 0x41, to: 0x5a },
+    { from: 0x5f, to: 0x5f },
+    { from: 0x61, to: 0x7a }
+];
+
+/** Characters which are matched by \s */
+const WHITE_SPACE = [
+    { from: 0x09, to: 0x0d },
+    { from: 0x20, to: 0x20 },
+    { from: 0xa0, to: 0xa0 },
+    { from: 0x1680, to: 0x1680 },
+    { from: 0x2000, to: 0x200a },
+    { from: 0x2028, to: 0x2029 },
+    { from: 0x202f, to: 0x202f },
+    { from: 0x205f, to: 0x205f },
+    { from: 0x3000, to: 0x3000 },
+    { from: 0xfeff, to: 0xfeff }
+];
+
+/** Code points of single character escapes */
+const CHARACTER_ESCAPES = new Map([
+    ['n', 0x0a],
+    ['r', 0x0d],
+    ['t', 0x09],
+    ['f', 0x0c],
+    ['v', 0x0b],
+    ['0', 0x00]
+]);
+
+/** The largest Unicode code point */
+const MAX_CODE_POINT = 0x10ffff;
+
+/**
+ * Parses token patterns written in Yantra's regular expression
+ * dialect, reporting syntax errors with their exact position.
+ * Parsing continues after an error, so that all errors in a
+ * pattern are reported.
+ */
+class TokenPatternParser {
+    #pattern;
+    #position = 0;
+    /** @type {PatternError[]} */
+    #errors = [];
+
+    /**
+     * @param {string} pattern - The pattern, without the quotes
+     */
+    constructor(pattern) {
+        this.#pattern = pattern;
+    }
+
+    /**
+     * Parses the whole pattern.
+     * @returns {{node: PatternNode, errors: PatternError[]}}
+     */
+    parse() {
+        const node = this.#parseAlternation();
+
+        // The only thing which can stop an alternation early is an
+        // unmatched closing parenthesis.
+        while (this.#position < this.#pattern.length) {
+            this.#addError(
+                'Unmatched closing parenthesis',
+                this.#position,
+                this.#position + 1
+            );
+            this.#position++;
+            this.#parseAlternation();
+        }
+
+        return { node, errors: this.#errors };
+    }
+
+    /**
+     * @param {string} message
+     * @param {number} start
+     * @param {number} end
+     */
+    #addError(message, start, end) {
+        this.#errors.push({ message, start, end });
+    }
+
+    /**
+     * Returns the character at the current position, which may be
+     * a surrogate pair.
+     * @returns {string}
+     */
+    #peek() {
+        const codePoint = this.#pattern.codePointAt(this.#position);
+        return codePoint === undefined ? '' : String.fromCodePoint(codePoint);
+    }
+
+    /**
+     * Returns the character at the current position, and moves past it.
+     * @returns {string}
+     */
+    #next() {
+        const ch = this.#peek();
+        this.#position += ch.length;
+        return ch;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    #atEnd() {
+        return this.#position >= this.#pattern.length;
+    }
+
+    /**
+     * alternation := sequence ('|' sequence)*
+     * @returns {PatternNode}
+     */
+    #parseAlternation() {
+        /** @type {PatternNode[]} */
+        const alternatives = [this.#parseSequence()];
+        while (this.#peek() === '|') {
+            this.#next();
+            alternatives.push(this.#parseSequence());
+        }
+
+        return alternatives.length === 1
+            ? alternatives[0]
+            : { type: 'alternation', alternatives };
+    }
+
+    /**
+     * sequence := (atom quantifier*)*
+     * @returns {PatternNode}
+     */
+    #parseSequence() {
+        /** @type {PatternNode[]} */
+        const items = [];
+        while (!this.#atEnd() && this.#peek() !== '|' && this.#peek() !== ')') {
+            const atomStart = this.#position;
+            const atom = this.#parseAtom();
+            if (atom) {
+                items.push(this.#parseQuantifiers(atom, atomStart));
+            }
+        }
+
+        if (items.length === 0) return { type: 'empty' };
+        return items.length === 1 ? items[0] : { type: 'sequence', items };
+    }
+
+    /**
+     * Parses the quantifiers which follow an atom, if any.
+     * @param {PatternNode} atom
+     * @param {number} atomStart
+     * @returns {PatternNode}
+     */
+    #parseQuantifiers(atom, atomStart) {
+        let node = atom;
+        let quantified = false;
+
+        while (!this.#atEnd()) {
+            const quantifierStart = this.#position;
+            const bounds = this.#parseQuantifier();
+            if (!bounds) break;
+
+            if (atom.type === 'anchor') {
+                this.#addError(
+                    'An anchor cannot be repeated',
+                    quantifierStart,
+                    this.#position
+                );
+                continue;
+            }
+
+            // A ? after a quantifier makes it lazy
+            if (quantified && this.#pattern[quantifierStart] === '?') {
+                continue;
+            }
+
+            if (quantified) {
+                this.#addError(
+                    'A quantifier cannot directly follow another quantifier',
+                    quantifierStart,
+                    this.#position
+                );
+                continue;
+            }
+
+            quantified = true;
+            node = { type: 'repeat', item: node, min: bounds.min, max: bounds.max };
+        }
+
+        return node;
+    }
+
+    /**
+     * Parses a quantifier at the current position. Returns undefined,
+     * without moving, if there is none. A { which does not begin a
+     * valid {n}, {n,} or {n,m} quantifier is a literal character.
+     * @returns {{min: number, max: number}|undefined}
+     */
+    #parseQuantifier() {
+        switch (this.#peek()) {
+            case '*':
+                this.#next();
+                return { min: 0, max: Infinity };
+            case '+':
+                this.#next();
+                return { min: 1, max: Infinity };
+            case '?':
+                this.#next();
+                return { min: 0, max: 1 };
+            case '{': {
+                const match = this.#pattern
+                    .slice(this.#position)
+                    .match(/^\{(\d+)(,(\d*))?\}/);
+                if (!match) return undefined;
+
+                const start = this.#position;
+                this.#position += match[0].length;
+
+                const min = Number(match[1]);
+                const max = match[2] === undefined
+                    ? min
+                    : match[3] === '' ? Infinity : Number(match[3]);
+                if (max < min) {
+                    this.#addError(
+                        'Numbers out of order in quantifier',
+                        start,
+                        this.#position
+                    );
+                    return { min, max: min };
+                }
+                return { min, max };
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Parses a single atom. Returns undefined if the atom is invalid.
+     * @returns {PatternNode|undefined}
+     */
+    #parseAtom() {
+        const start = this.#position;
+        const ch = this.#next();
+
+        switch (ch) {
+            case '(':
+                return this.#parseGroup(start);
+            case '[':
+                return this.#parseCharacterClass(start);
+            case '.':
+                // Any character except a line feed
+                return {
+                    type: 'chars',
+                    negated: true,
+                    items: [{ from: 0x0a, to: 0x0a }]
+                };
+            case '^':
+            case '$':
+                return { type: 'anchor', kind: ch };
+            case '*':
+            case '+':
+            case '?':
+                this.#addError('Nothing to repeat', start, this.#position);
+                return undefined;
+            case '\\': {
+                const item = this.#parseEscape(start, false);
+                if (!item) return undefined;
+                return { type: 'chars', negated: false, items: [item] };
+            }
+            default: {
+                // A { which does not begin a quantifier is literal
+                if (ch === '{') {
+                    this.#position = start;
+                    if (this.#parseQuantifier()) {
+                        this.#addError('Nothing to repeat', start, this.#position);
+                        return undefined;
+                    }
+                    this.#next();
+                }
+
+                const codePoint = /** @type {number} */ (ch.codePointAt(0));
+                return {
+                    type: 'chars',
+                    negated: false,
+                    items: [{ from: codePoint, to: codePoint }]
+                };
+            }
+        }
+    }
+
+    /**
+     * Parses a group, after its opening parenthesis.
+     * @param {number} start - The position of the parenthesis
+     * @returns {PatternNode|undefined}
+     */
+    #parseGroup(start) {
+        if (this.#peek() === '?') {
+            if (this.#pattern[this.#position + 1] === ':') {
+                this.#position += 2;
+            } else {
+                const prefixEnd = this.#pattern[this.#position + 1] === '<'
+                    ? this.#position + 3
+                    : this.#position + 2;
+                this.#addError(
+                    'Only non-capturing groups (?:...) are supported in token patterns',
+                    start,
+                    Math.min(prefixEnd, this.#pattern.length)
+                );
+                this.#position = Math.min(prefixEnd, this.#pattern.length);
+            }
+        }
+
+        const node = this.#parseAlternation();
+        if (this.#peek() !== ')') {
+            this.#addError('Unterminated group', start, start + 1);
+            return node;
+        }
+
+        this.#next();
+        return node;
+    }
+
+    /**
+     * Parses a character class, after its opening bracket.
+     * @param {number} start - The position of the bracket
+     * @returns {PatternNode|undefined}
+     */
+    #parseCharacterClass(start) {
+        let negated = false;
+        if (this.#peek() === '^') {
+            this.#next();
+            negated = true;
+        }
+
+        /** @type {CharSetItem[]} */
+        const items = [];
+        let valid = true;
+
+        while (!this.#atEnd() && this.#peek() !== ']') {
+            const itemStart = this.#position;
+            const item = this.#parseClassCharacter();
+            if (!item) {
+                valid = false;
+                continue;
+            }
+
+            // A - between two characters is a range, unless it
+            // is the last character of the class.
+            if (
+                this.#peek() === '-' &&
+                this.#position + 1 < this.#pattern.length &&
+                this.#pattern[this.#position + 1] !== ']'
+            ) {
+                this.#next();
+                const to = this.#parseClassCharacter();
+                if (!to) {
+                    valid = false;
+                    continue;
+                }
+
+                if (!('from' in item) || !('from' in to) || item.from !== item.to || to.from !== to.to) {
+                    this.#addError(
+                        'A character class escape cannot be a bound of a range',
+                        itemStart,
+                        this.#position
+                    );
+                    valid = false;
+                    continue;
+                }
+
+                if (item.from > to.from) {
+                    this.#addError(
+                        'Range out of order in character class',
+                        itemStart,
+                        this.#position
+                    );
+                    valid = false;
+                    continue;
+                }
+
+                items.push({ from: item.from, to: to.to });
+                continue;
+            }
+
+            items.push(item);
+        }
+
+        if (this.#atEnd()) {
+            this.#addError('Unterminated character class', start, this.#position);
+            return undefined;
+        }
+        this.#next();
+
+        // [^] matches any character. [] matches nothing, which is
+        // almost certainly a mistake.
+        if (items.length === 0 && !negated && valid) {
+            this.#addError('Empty character class', start, this.#position);
+            return undefined;
+        }
+
+        return valid ? { type: 'chars', negated, items } : undefined;
+    }
+
+    /**
+     * Parses a character or escape inside a character class.
+     * @returns {CharSetItem|undefined}
+     */
+    #parseClassCharacter() {
+        const start = this.#position;
+        const ch = this.#next();
+        if (ch === '\\') {
+            return this.#parseEscape(start, true);
+        }
+
+        const codePoint = /** @type {number} */ (ch.codePointAt(0));
+        return { from: codePoint, to: codePoint };
+    }
+
+    /**
+     * Parses an escape sequence, after its backslash.
+     * @param {number} start - The position of the backslash
+     * @param {boolean} inClass - True inside a character class
+     * @returns {CharSetItem|undefined}
+     */
+    #parseEscape(start, inClass) {
+        if (this.#atEnd()) {
+            this.#addError('The pattern cannot end with a backslash', start, this.#position);
+            return undefined;
+        }
+
+        const ch = this.#next();
+
+        /**
+         * @param {number} codePoint
+         * @returns {CharSetItem}
+         */
+        const single = codePoint => ({ from: codePoint, to: codePoint });
+
+        const characterEscape = CHARACTER_ESCAPES.get(ch);
+        if (characterEscape !== undefined) {
+            return single(characterEscape);
+        }
+
+        switch (ch) {
+            case 'd':
+                return { negated: true, items: [{ negated: true, items: DIGITS }] };
+            case 'D':
+                return { negated: true, items: DIGITS };
+            case 'w':
+                return { negated: true, items: [{ negated: true, items: WORD_CHARACTERS }] };
+            case 'W':
+                return { negated: true, items: WORD_CHARACTERS };
+            case 's':
+                return { negated: true, items: [{ negated: true, items: WHITE_SPACE }] };
+            case 'S':
+                return { negated: true, items: WHITE_SPACE };
+            case 'b':
+                // Inside a class, \b is a backspace
+                if (inClass) return single(0x08);
+                this.#addError(
+                    'Word boundary assertions are not supported in token patterns',
+                    start,
+                    this.#position
+                );
+                return undefined;
+            case 'B':
+                this.#addError(
+                    'Word boundary assertions are not supported in token patterns',
+                    start,
+                    this.#position
+                );
+                return undefined;
+            case 'x': {
+                const hex = this.#pattern.slice(this.#position, this.#position + 2);
+                if (!/^[0-9A-Fa-f]{2}$/.test(hex)) {
+                    this.#addError(
+                        'Invalid escape: \\x should be followed by two hexadecimal digits',
+                        start,
+                        this.#position
+                    );
+                    return undefined;
+                }
+                this.#position += 2;
+                return single(parseInt(hex, 16));
+            }
+            case 'u':
+                return this.#parseUnicodeEscape(start);
+            case 'p':
+            case 'P':
+                return this.#parsePropertyEscape(start, ch === 'P');
+            default:
+                break;
+        }
+
+        if (/[1-9]/.test(ch)) {
+            this.#addError(
+                'Backreferences are not supported in token patterns',
+                start,
+                this.#position
+            );
+            return undefined;
+        }
+
+        // Any other letter or digit is an unknown escape. All other
+        // characters, such as punctuation, match themselves.
+        if (/[A-Za-z0-9_]/.test(ch)) {
+            this.#addError(
+                `Unknown escape sequence '\\${ch}'`,
+                start,
+                this.#position
+            );
+            return undefined;
+        }
+
+        return single(/** @type {number} */ (ch.codePointAt(0)));
+    }
+
+    /**
+     * Parses a \uHHHH or \u{H...} escape, after the u.
+     * @param {number} start - The position of the backslash
+     * @returns {CharSetItem|undefined}
+     */
+    #parseUnicodeEscape(start) {
+        const rest = this.#pattern.slice(this.#position);
+
+        const braced = rest.match(/^\{([0-9A-Fa-f]+)\}/);
+        if (braced) {
+            this.#position += braced[0].length;
+            const codePoint = parseInt(braced[1], 16);
+            if (codePoint > MAX_CODE_POINT) {
+                this.#addError(
+                    'Invalid Unicode escape: the code point is greater than 10FFFF',
+                    start,
+                    this.#position
+                );
+                return undefined;
+            }
+            return { from: codePoint, to: codePoint };
+        }
+
+        const fixed = rest.match(/^[0-9A-Fa-f]{4}/);
+        if (fixed) {
+            this.#position += 4;
+            const codePoint = parseInt(fixed[0], 16);
+            return { from: codePoint, to: codePoint };
+        }
+
+        // Cover a malformed braced escape up to its closing brace
+        const malformed = rest.match(/^\{[^}]*\}?/);
+        if (malformed) {
+            this.#position += malformed[0].length;
+        }
+        this.#addError(
+            'Invalid Unicode escape: \\u should be followed by four hexadecimal digits, or hexadecimal digits in braces',
+            start,
+            this.#position
+        );
+        return undefined;
+    }
+
+    /**
+     * Parses a \p{Property} or \P{Property} escape, after the p.
+     * @param {number} start - The position of the backslash
+     * @param {boolean} negated - True for \P
+     * @returns {CharSetItem|undefined}
+     */
+    #parsePropertyEscape(start, negated) {
+        const match = this.#pattern.slice(this.#position).match(/^\{([^}]*)\}/);
+        if (!match) {
+            this.#addError(
+                'Invalid Unicode property escape: the property name should be in braces',
+                start,
+                this.#position
+            );
+            return undefined;
+        }
+
+        this.#position += match[0].length;
+        const property = match[1];
+        if (!isUnicodeProperty(property)) {
+            this.#addError(
+                `Unknown Unicode property '${property}'`,
+                start,
+                this.#position
+            );
+            return undefined;
+        }
+
+        return negated
+            ? { negated: true, items: [{ property }] }
+            : { property };
+    }
+}
+
+/** @type {Map<string, boolean>} */
+const knownProperties = new Map();
+
+/**
+ * Checks if a name is a Unicode property, general category or
+ * script, such as L, Letter, Lu or Script=Greek.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isUnicodeProperty(name) {
+    let known = knownProperties.get(name);
+    if (known === undefined) {
+        try {
+            new RegExp(`\\p{${name}}`, 'u');
+            known = true;
+        } catch {
+            known = false;
+        }
+        knownProperties.set(name, known);
+    }
+    return known;
+}
+
+/**
+ * Parses a token pattern.
+ * @param {string} pattern - The pattern, without the quotes
+ * @returns {{node: PatternNode, errors: PatternError[]}}
+ */
+function parseTokenPattern(pattern) {
+    return new TokenPatternParser(pattern).parse();
+}
+
+module.exports = {
+    MAX_CODE_POINT,
+    parseTokenPattern
+};
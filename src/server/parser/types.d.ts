@@ -47,6 +47,33 @@ type YantraError = {
    * The range of the element to which this error pertains.
    */
   range: range;
+  /**
+   * A structured code identifying the kind of diagnostic, if any.
+   */
+  code?: DiagnosticCode;
+  /**
+   * Additional data about the diagnostic, used by code actions.
+   */
+  data?: any;
+  /**
+   * Tags which change how editors display the diagnostic.
+   */
+  tags?: DiagnosticTag[];
+  /**
+   * Other places in the document which relate to the error.
+   */
+  relatedInformation?: RelatedInformation[];
+}
+
+type RelatedInformation = {
+  /**
+   * The range of the related place.
+   */
+  range: range;
+  /**
+   * Why the place relates to the error.
+   */
+  message: string;
 }
 
 interface Reference {
@@ -71,6 +98,90 @@ interface SemanticToken {
   tokenModifiers: SemanticTokenModifier[];
 }
 
+/**
+ * A comment on the same line as a node, kept with the node
+ * so that it is not lost when the node is formatted.
+ */
+type CommentTrivia = {
+  /**
+   * The range of the comment, on a single line.
+   */
+  range: range;
+  /**
+   * The text of the comment, including the comment markers.
+   */
+  text: string;
+  /**
+   * Whether the comment comes before the code on its line.
+   */
+  leading: boolean;
+  /**
+   * Whether the comment comes between the code on its line.
+   */
+  inline: boolean;
+}
+
+/**
+ * Options which control how a document is formatted.
+ */
+type FormatOptions = {
+  /**
+   * Size of a tab in spaces.
+   */
+  tabSize: number;
+  /**
+   * Whether code blocks are indented with spaces rather than tabs.
+   */
+  insertSpaces: boolean;
+  /**
+   * Whether := is aligned across consecutive token definitions.
+   */
+  alignTokenDefinitions: boolean;
+  /**
+   * Whether := is aligned across the alternatives of a rule.
+   */
+  alignRuleAssignments: boolean;
+  /**
+   * Maximum number of consecutive blank lines kept, or -1 to keep all.
+   */
+  maxBlankLines: number;
+  /**
+   * Maximum width of the lines of a rule definition, beyond which its
+   * elements are wrapped onto the next lines, or 0 to never wrap them.
+   */
+  maxLineWidth: number;
+}
+
+/**
+ * Global parser state recorded at a line, so that a later
+ * parse can resume from it.
+ */
+type GlobalCheckpoint = {
+  errorsLength: number;
+  definitionsLength: number;
+  forwardReferences: ForwardReference[];
+  className: string;
+  walkersPragmaDefined: boolean;
+  defaultWalkerName: string;
+  startRuleName: string;
+};
+
+/**
+ * Parser state recorded before a line is parsed, so that a
+ * later parse can resume from it.
+ */
+type ParseCheckpoint = {
+  line: number;
+  errorCount: number;
+  className: string;
+  walkersPragmaDefined: boolean;
+  defaultWalker: string;
+  currentRule: any; // RuleNode
+  expectNamedCodeBlock: boolean;
+  codeBlockName?: CodeBlockName;
+  global: GlobalCheckpoint;
+};
+
 /**
  * The code block name nonterminal
  */
@@ -88,6 +199,33 @@ enum ErrorSeverity {
   Hint = 4
 }
 
+enum DiagnosticCode {
+  UndefinedToken = 'undefined-token',
+  UndefinedRule = 'undefined-rule',
+  UndefinedLexerMode = 'undefined-lexermode',
+  UndefinedCodeBlock = 'undefined-codeblock',
+  Conflict = 'conflict',
+  UnreachableRule = 'unreachable-rule',
+  NonProductiveRule = 'nonproductive-rule',
+  UnusedToken = 'unused-token',
+  ShadowedToken = 'shadowed-token',
+  OverlappingTokens = 'overlapping-tokens',
+  EmptyLexerMode = 'empty-lexermode',
+  UnenteredLexerMode = 'unentered-lexermode',
+  NonReturningLexerMode = 'nonreturning-lexermode',
+  CircularLexerInclude = 'circular-lexer-include',
+  DuplicatePrecedence = 'duplicate-precedence',
+  UnusedPrecedence = 'unused-precedence',
+  MissingPrecedence = 'missing-precedence',
+  DuplicateAlternative = 'duplicate-alternative',
+  UnknownAlias = 'unknown-alias'
+}
+
+enum DiagnosticTag {
+  Unnecessary = 1,
+  Deprecated = 2
+}
+
 enum ParserStatus {
   Initialized = 'init',
   Parsing = 'parsing',
@@ -179,7 +317,11 @@ interface IGlobalState {
   addErrorWithRange(
     message: string,
     severity: ErrorSeverity,
-    range: range
+    range: range,
+    code?: DiagnosticCode,
+    data?: any,
+    tags?: DiagnosticTag[],
+    relatedInformation?: RelatedInformation[]
   ): void;
 
   addDefinition(def: any): void; // ASTNode
@@ -199,6 +341,8 @@ interface IGlobalState {
   getDefinitions(type: string, name: string): YantraDefinition[];
   getFunctionsForRule(ruleName: string): YantraDefinition[];
   getRuleDefinitionCount(ruleName: string): number;
+
+  createCheckpoint(): GlobalCheckpoint;
 }
 
 // Parse state contract
@@ -219,6 +363,8 @@ interface IParseState {
   codeBlockName?: { className: string; functionName: string };
   expectCodeBlock: boolean;
   expectNamedCodeBlock: boolean;
+  expectRuleContinuation: boolean;
+  inBlockComment: boolean;
 
   // Methods
   startNewLine(line: number, lineText: string): void;
@@ -229,7 +375,8 @@ interface IParseState {
     message: string,
     severity?: ErrorSeverity,
     startColumn?: number,
-    endColumn?: number
+    endColumn?: number,
+    relatedInformation?: RelatedInformation[]
   ): void;
 
   addRuleDefCodeBlockExpectedError(): void;
@@ -248,6 +395,7 @@ interface IParseState {
   resetCodeBlock(): void;
 
   startMultilineRule(rule: any): void; // RuleNode
+  terminateMultilineRule(): void;
   resetRuleDef(): void;
 
   setStartRuleName(name: string): void;
@@ -257,6 +405,11 @@ interface IParseState {
   lexicalTokenFromSubmatch(submatches: RegExpMatchArray, matchIndex: number, characterOffset: number): LexicalToken | null;
 
   getRuleDefinitionCount(ruleName: string): number;
+
+  readonly isCheckpointSafe: boolean;
+  createCheckpoint(): ParseCheckpoint;
+  restoreCheckpoint(checkpoint: ParseCheckpoint): void;
+  matchesCheckpoint(checkpoint: ParseCheckpoint): boolean;
 }
 
 /**
@@ -4,16 +4,31 @@
  * @typedef {import('./types').Reference} Reference
  * @typedef {import('./types').YantraError} YantraError
  * @typedef {import('./types').YantraDefinition} YantraDefinition
+ * @typedef {import('./types').ParseCheckpoint} ParseCheckpoint
+ * @typedef {import('./types').FormatOptions} FormatOptions
+ * @typedef {import('./comments').LineComment} LineComment
+ * @typedef {import('./lalr').Conflict} Conflict
+ * @typedef {import('./lalr').Item} Item
+ * @typedef {import('./tokenautomaton').LanguageComparison} LanguageComparison
+ * @typedef {import('./ast/rule').RuleDefElement} RuleDefElement
+ * @typedef {import('./lexicaltoken').LexicalToken} LexicalToken
  */
 
 const {
     ParserStatus,
-    SyntaxPattern,
+    SyntaxPattern, ElementPattern,
     CompletionItemKind, SymbolKind,
     SemanticTokenType, SemanticTokenModifier,
-    ErrorSeverity
+    ErrorSeverity, DiagnosticCode, DiagnosticTag
 } = require('./enums');
 const { GlobalState } = require('./globalstate');
+const { END_OF_INPUT, Grammar } = require('./grammar');
+const { LALRAutomaton } = require('./lalr');
+const { DEFAULT_LEXER_MODE, LexerModeGraph } = require('./lexermodes');
+const { PragmaSnippets, snippetToText } = require('./pragmasnippets');
+const { CppKeywords } = require('./cppkeywords');
+const { scanComments, docCommentToMarkdown, docCommentSummary } = require('./comments');
+const { TokenAutomaton } = require('./tokenautomaton');
 const { ParseState } = require('./parsestate');
 const {
     ASTNode,
@@ -23,14 +38,20 @@ const {
     WalkersPragmaNode, DefaultWalkerPragmaNode, WalkerInterfacePragmaNode, MembersPragmaNode,
     FunctionPragmaNode,
     AssociativityPragmaNode,
+    CheckUnusedTokensPragmaNode,
     LexerIncludePragmaNode, LexerModePragmaNode,
     StartPragmaNode,
     StubPragmaNode,
-    RuleNode,
+    RuleNode, RuleContinuationNode,
     TokenNode,
     CodeBlockNode, CodeBlockNameNode
 } = require('./ast/nodetypes');
 
+/**
+ * The minimum number of lines between two parse checkpoints.
+ */
+const CHECKPOINT_INTERVAL = 32;
+
 /**
  * A line parser function
  * @callback LineParser
@@ -47,6 +68,82 @@ const {
  * @property {LineParser} action
  */
 
+/**
+ * Formatted lines which replace a range of lines of the document.
+ * @typedef {Object} FormattedRange
+ * @property {number} startLine
+ * @property {number} endLine - The line after the range
+ * @property {string[]} lines
+ */
+
+/**
+ * Formatted lines which replace the lines of one node, or one
+ * line kept as it is.
+ * @typedef {FormattedRange & {node: ASTNode|undefined, kept: boolean}} FormattedSegment
+ */
+
+/**
+ * The formatting used when no options are given.
+ * @type {Readonly<FormatOptions>}
+ */
+const DEFAULT_FORMAT_OPTIONS = Object.freeze({
+    tabSize: 4,
+    insertSpaces: true,
+    alignTokenDefinitions: true,
+    alignRuleAssignments: false,
+    maxBlankLines: -1,
+    maxLineWidth: 0
+});
+
+/**
+ * A symbol which can be renamed.
+ * @typedef {Object} RenameTarget
+ * @property {string} type - The kind of symbol, a key of RenameKinds
+ * @property {string} name - The full name of the symbol
+ * @property {string} text - The text of the symbol at the position
+ * @property {range} range - The range of the symbol at the position
+ * @property {{rule: RuleNode, element: RuleDefElement}} [alias] - The
+ * rule definition and element, if the symbol is an alias
+ */
+
+/**
+ * The kinds of symbols which can be renamed, with the pattern
+ * their names must match.
+ * @type {Readonly<Record<string, {pattern: RegExp, description: string, rule: string}>>}
+ */
+const RenameKinds = Object.freeze({
+    token: {
+        pattern: ElementPattern.TokenName,
+        description: 'token',
+        rule: 'token names begin with an uppercase letter, followed by uppercase letters, digits and underscores'
+    },
+    rule: {
+        pattern: ElementPattern.RuleName,
+        description: 'rule',
+        rule: 'rule names begin with a lowercase letter, followed by letters, digits and underscores'
+    },
+    walker: {
+        pattern: ElementPattern.CppName,
+        description: 'walker',
+        rule: 'walker names must be valid C++ names'
+    },
+    function: {
+        pattern: ElementPattern.CppName,
+        description: 'function',
+        rule: 'function names must be valid C++ names'
+    },
+    lexermode: {
+        pattern: /^[A-Za-z][A-Za-z0-9_]*$/,
+        description: 'lexer mode',
+        rule: 'lexer mode names begin with a letter, followed by letters, digits and underscores'
+    },
+    alias: {
+        pattern: /^[A-Za-z]\w*$/,
+        description: 'alias',
+        rule: 'aliases begin with a letter, followed by letters, digits and underscores'
+    }
+});
+
 /**
  * A completion item returned by the language server.
  * @typedef {Object} CompletionItem
@@ -68,9 +165,41 @@ const {
  * @property {SymbolKind} kind - SymbolKind enum (e.g., 12 = Function, 5 = Class)
  * @property {range} range
  * @property {range} selectionRange
+ * @property {string} [detail] - Shown next to the name, such as a summary of the documentation
  * @property {DocumentSymbol[]} [children]
  */
 
+/**
+ * A text edit returned by the language server.
+ * @typedef {Object} TextEdit
+ * @property {range} range
+ * @property {string} newText
+ */
+
+/**
+ * A code action returned by the language server. The
+ * server attaches the edits to the document.
+ * @typedef {Object} CodeAction
+ * @property {string} title
+ * @property {string} kind
+ * @property {any[]} diagnostics - The diagnostics this action resolves
+ * @property {TextEdit[]} edits
+ */
+
+/**
+ * A folding range returned by the language server.
+ * @typedef {Object} FoldingRange
+ * @property {Number} startLine
+ * @property {Number} endLine
+ * @property {'comment'|'imports'|'region'} [kind]
+ */
+
+/**
+ * Hover information returned by the language server.
+ * @typedef {Object} Hover
+ * @property {{kind: 'markdown'|'plaintext', value: string}} contents
+ */
+
 /**
  * Semantic token
  * @typedef {Object} SemanticToken
@@ -79,12 +208,45 @@ const {
  * @property {SemanticTokenModifier[]} tokenModifiers
  */
 
+/**
+ * The results of a previous parse, which are reused by an
+ * incremental parse.
+ * @typedef {Object} PreviousParse
+ * @property {string[]} lines
+ * @property {(ASTNode|undefined)[]} astNodes
+ * @property {YantraError[]} errors
+ * @property {ASTNode[]} definitionLog
+ * @property {Map<Number, ParseCheckpoint>} checkpoints
+ * @property {ParseCheckpoint|undefined} finalCheckpoint - Undefined if the parse stopped early
+ */
+
+/**
+ * The nullable, FIRST and FOLLOW sets of the rules of a grammar.
+ * @typedef {Object} GrammarSets
+ * @property {string} startRule
+ * @property {{name: string, nullable: boolean, first: string[], follow: string[]}[]} rules
+ */
+
+/**
+ * A diagnostic for a group of parsing conflicts, to be reported on
+ * the rule definitions involved.
+ * @typedef {Object} ConflictReport
+ * @property {string} message
+ * @property {Number[]} productionIndices - Indices of the grammar productions involved
+ */
 
 class YantraParser {
     /** @type {ParserStatus} */
     #status = ParserStatus.Initialized;
     /** @type {(ASTNode|undefined)[]} */
     #astNodes = [];
+    /** @type {string[]} */
+    #lines = [];
+    /**
+     * The end of line sequence of the document, used by edits.
+     * @type {string}
+     */
+    #eol = '\n';
     /** @type YantraError[] */
     #errors;
     /** @type {Map<string, Map<string, YantraDefinition[]>>} */
@@ -99,6 +261,50 @@ class YantraParser {
     /** @type {GlobalState|undefined} */
     #globalState;
 
+    /**
+     * Parser state recorded before some lines, by line number.
+     * @type {Map<Number, ParseCheckpoint>}
+     */
+    #checkpoints = new Map();
+    /**
+     * Parser state recorded after the last line.
+     * @type {ParseCheckpoint|undefined}
+     */
+    #finalCheckpoint;
+    /**
+     * The error threshold used by the last parse.
+     * @type {Number|undefined}
+     */
+    #parsedErrorThreshold;
+    /**
+     * Parsing conflicts found in the grammar of a previous parse.
+     * These are reused while the grammar does not change.
+     * @type {{signature: string, reports: ConflictReport[]}|undefined}
+     */
+    #conflicts;
+    /**
+     * The grammar of the current parse, built when first needed.
+     * @type {Grammar|undefined}
+     */
+    #grammar;
+    /**
+     * The lexer modes of the current parse, found when first needed.
+     * @type {LexerModeGraph|undefined}
+     */
+    #lexerModeGraph;
+    /**
+     * Automata of token patterns, by pattern. Undefined for patterns
+     * which cannot be analyzed. These are reused between parses.
+     * @type {Map<string, TokenAutomaton|undefined>}
+     */
+    #tokenAutomata = new Map();
+    /**
+     * Comparisons of pairs of token patterns, by the patterns joined
+     * with a newline. These are reused between parses.
+     * @type {Map<string, LanguageComparison>}
+     */
+    #tokenComparisons = new Map();
+
     /**
      * The semantic token types currently supported by this
      * parser, in the correct order.
@@ -126,11 +332,6 @@ class YantraParser {
     constructor() {
         // Set up line pattern handlers
         this.#linePatterns = [{
-            "type": 'comment',
-            "pattern": SyntaxPattern.Comment,
-            "action": this.#parseComment
-        },
-        {
             "type": 'pragma',
             "pattern": SyntaxPattern.Pragma,
             "action": this.#parsePragma
@@ -207,6 +408,11 @@ class YantraParser {
             ['walkerinterface', new Map()]
         ]);
         this.#astNodes = [];
+        this.#lines = [];
+        this.#checkpoints = new Map();
+        this.#finalCheckpoint = undefined;
+        this.#grammar = undefined;
+        this.#lexerModeGraph = undefined;
         this.#status = ParserStatus.Initialized;
         this.#globalState = undefined;
     }
@@ -229,6 +435,13 @@ class YantraParser {
         const node = this.#astNodes[line];
         if (!node) return defRanges;
 
+        // Aliases used in a code block are declared by its rule
+        if (node instanceof CodeBlockNode) {
+            const alias = node.getAliasAt(line, character);
+            if (alias) defRanges.push(alias.range);
+            return defRanges;
+        }
+
         const searchElement = node.getReferenceAt(character);
         if (searchElement) {
             // @ts-ignore
@@ -286,6 +499,165 @@ class YantraParser {
         return defRanges;
     }
 
+    /**
+     * Gets hover information for the symbol at the specified position.
+     * All definitions of the symbol are described, so a rule with 
+     * several alternatives shows each of them. Returns null if there
+     * is no symbol, or it has not been defined.
+     * @param {Number} line 
+     * @param {Number} character 
+     * @returns {Hover|null}
+     */
+    getHoverAt(line, character) {
+        if (this.#status !== ParserStatus.Ready || !this.#globalState) return null;
+        if (line < 0 || line >= this.#astNodes.length) return null;
+
+        const node = this.#astNodes[line];
+        if (!node) return null;
+
+        const searchElement = node.getReferenceOrNodeAt(character);
+        if (!searchElement || !searchElement.type) return null;
+
+        const hoverTexts = this.#globalState
+            .getDefinitions(searchElement.type, searchElement.name)
+            .map((def) => {
+                // @ts-ignore
+                const hoverText = def.getHoverText();
+                const documentation = docCommentToMarkdown(this.#getDocComment(def));
+                return hoverText && documentation
+                    ? `${hoverText}\n\n${documentation}`
+                    : hoverText;
+            })
+            .filter(text => text);
+
+        if (hoverTexts.length === 0) return null;
+
+        if (searchElement.type === 'rule') {
+            hoverTexts.push(this.#getRuleSetsHoverText(searchElement.name));
+        }
+
+        if (searchElement.type === 'token') {
+            const precedenceText = this.#getPrecedenceHoverText(searchElement.name);
+            if (precedenceText) hoverTexts.push(precedenceText);
+        }
+
+        return {
+            contents: {
+                kind: 'markdown',
+                value: hoverTexts.join('\n\n')
+            }
+        };
+    }
+
+    /**
+     * Returns the lines of the comment which documents a definition.
+     * This is the run of comment lines directly above the line of
+     * the definition or, if there are none, a // comment following
+     * the definition on its line.
+     * @param {YantraDefinition} definition
+     * @returns {string[]}
+     */
+    #getDocComment(definition) {
+        const definitionLine = definition.range.start.line;
+
+        /** @type {string[]} */
+        const commentTexts = [];
+        for (let line = definitionLine - 1; line >= 0; line--) {
+            const node = this.#astNodes[line];
+            if (!(node instanceof CommentNode)) break;
+            commentTexts.unshift(node.text);
+        }
+        if (commentTexts.length > 0) return commentTexts;
+
+        const trailingComment = this.#astNodes[definitionLine]?.comments.find(
+            comment => comment.range.start.line === definitionLine &&
+                !comment.leading &&
+                comment.text.startsWith('//')
+        );
+        return trailingComment ? [trailingComment.text] : [];
+    }
+
+    /**
+     * Returns the documentation of the first definition of a
+     * symbol which is documented, as markdown.
+     * @param {YantraDefinition[]} definitions
+     * @returns {string}
+     */
+    #getDocumentation(definitions) {
+        for (const def of definitions) {
+            const documentation = docCommentToMarkdown(this.#getDocComment(def));
+            if (documentation) return documentation;
+        }
+        return '';
+    }
+
+    /**
+     * Returns the nullable, FIRST and FOLLOW sets of a rule, as
+     * hover text.
+     * @param {string} ruleName
+     * @returns {string}
+     */
+    #getRuleSetsHoverText(ruleName) {
+        const grammar = this.#getGrammar();
+
+        /**
+         * @param {Set<string>} tokens
+         * @returns {string}
+         */
+        const formatTokens = (tokens) => {
+            if (tokens.size === 0) return '(none)';
+            return Array.from(tokens)
+                .sort()
+                .map(token => token === END_OF_INPUT ? 'end of input' : `\`${token}\``)
+                .join(', ');
+        };
+
+        return [
+            `**Nullable:** ${grammar.isNullable(ruleName) ? 'yes' : 'no'}`,
+            `**FIRST:** ${formatTokens(grammar.getFirst(ruleName))}`,
+            `**FOLLOW:** ${formatTokens(grammar.getFollow(ruleName))}`
+        ].join('  \n');
+    }
+
+    /**
+     * Returns the precedence of a token as hover text, or an empty
+     * string if the token has no precedence.
+     * @param {string} tokenName
+     * @returns {string}
+     */
+    #getPrecedenceHoverText(tokenName) {
+        const grammar = this.#getGrammar();
+        const precedence = grammar.getPrecedence(tokenName);
+        if (!precedence) return '';
+
+        const associativity = precedence.associativity === 'token'
+            ? 'no associativity'
+            : `${precedence.associativity} associative`;
+        return `**Precedence:** level ${precedence.level} of ${grammar.precedenceLevelCount}, ` +
+            `${associativity} (\`%${precedence.associativity}\`). Higher levels bind tighter.`;
+    }
+
+    /**
+     * Returns the nullable, FIRST and FOLLOW sets of every rule.
+     * Token names are sorted. FOLLOW sets include $end for the end
+     * of the input.
+     * @returns {GrammarSets|null}
+     */
+    getGrammarSets() {
+        if (this.#status !== ParserStatus.Ready || !this.#globalState) return null;
+
+        const grammar = this.#getGrammar();
+        return {
+            startRule: grammar.startRuleName,
+            rules: grammar.ruleNames.map((ruleName) => ({
+                name: ruleName,
+                nullable: grammar.isNullable(ruleName),
+                first: Array.from(grammar.getFirst(ruleName)).sort(),
+                follow: Array.from(grammar.getFollow(ruleName)).sort()
+            }))
+        };
+    }
+
     /**
      * Returns completion items based on line context and cursor position.
      * @param {number} line
@@ -299,30 +671,72 @@ class YantraParser {
         /** @type {CompletionItem[]} */
         const completions = [];
 
+        // Nothing is completed inside a comment
+        const node = this.#astNodes[line];
+        const inComment = node instanceof CommentNode || node?.comments.some(
+            comment => comment.range.start.line === line &&
+                comment.range.start.character < character &&
+                comment.range.end.character >= character
+        );
+        if (inComment) return [];
+
+        // Inside a code block → aliases of the rule definition
+        if (node instanceof CodeBlockNode && node.isCodeLine(line)) {
+            const wordPrefix = lineText.slice(0, character).match(/\w*$/)?.[0] ?? '';
+            return this.#getAliasCompletions(node, wordPrefix);
+        }
+
         // First, completions at the beginning of the line
         const trimmed = lineText.trimStart();
         const prefix = trimmed.slice(1, character).trim();
 
-        // % → pragma suggestions
-        if (trimmed.startsWith('%')) {
-
-            const pragmaNames = [
-                'class',
-                'walkers', 'default_walker', 'walker_interface', 'members',
-                'left', 'right', 'token',
-                'function',
-                'lexer_include', 'lexer_mode',
-                'start'
-            ];
-
-            const names = this.#namesToCompletions(
-                pragmaNames,
-                prefix,
-                CompletionItemKind.Keyword,
-                'pragma'
+        // The text before the cursor, and the partial word being typed
+        const textBefore = lineText.slice(0, character);
+        const wordPrefix = textBefore.match(/\w*$/)?.[0] ?? '';
+
+        // %pragma followed by parameters → parameter suggestions
+        const pragmaMatch = textBefore.match(/^\s*%([a-z_]+)\s+(.*)$/);
+        if (pragmaMatch) {
+            return this.#getPragmaParameterCompletions(
+                pragmaMatch[1],
+                pragmaMatch[2],
+                wordPrefix,
+                line
             );
+        }
 
-            completions.push(...names);
+        // % → pragma snippets
+        if (trimmed.startsWith('%')) {
+            // The snippets replace everything from the % to the cursor
+            const replaceRange = {
+                start: { line, character: lineText.indexOf('%') },
+                end: { line, character }
+            };
+
+            const snippets = PragmaSnippets
+                .filter(pragma => pragma.name.startsWith(prefix))
+                .map((pragma) => {
+                    return {
+                        label: pragma.name,
+                        kind: CompletionItemKind.Keyword,
+                        detail: 'pragma',
+                        documentation: {
+                            kind: /** @type {'markdown'} */ ('markdown'),
+                            value: '```yantra\n' +
+                                snippetToText(pragma.snippet) +
+                                '\n```\n' +
+                                pragma.documentation
+                        },
+                        filterText: `%${pragma.name}`,
+                        insertTextFormat: /** @type {2} */ (2),
+                        textEdit: {
+                            range: replaceRange,
+                            newText: pragma.snippet
+                        }
+                    };
+                });
+
+            completions.push(...snippets);
             return completions;
         }
 
@@ -344,18 +758,158 @@ class YantraParser {
             const walkerNames = this.#definitionsToCompletions(
                 'walker',
                 prefix,
-                CompletionItemKind.Class
+                CompletionItemKind.Class,
+                line
             );
 
             completions.push(...walkerNames);
             return completions;
         }
 
-        // Later, more context-sensitive completions
+        // [ in a token definition → lexer mode suggestions
+        if (/^\s*[A-Z][A-Z0-9_]*\s*:=\s*".*"!?\s*\[\s*\w*$/.test(textBefore)) {
+            return this.#definitionsToCompletions(
+                'lexermode',
+                wordPrefix,
+                CompletionItemKind.EnumMember,
+                line
+            );
+        }
+
+        // Right hand side of a rule definition, or a line which
+        // continues one → token and rule suggestions, except inside
+        // an alias or after the end of the rule.
+        const ruleMatch = textBefore.match(/^\s*[a-z]\w*\s*(?:\(\w*\)\s*)?:=(.*)$/);
+        const definition = ruleMatch?.[1] ??
+            (node instanceof RuleContinuationNode ? textBefore : undefined);
+        if (definition !== undefined) {
+            if (/\([^)]*$/.test(definition) || definition.includes(';')) return [];
+
+            completions.push(
+                ...this.#definitionsToCompletions(
+                    'token',
+                    wordPrefix,
+                    CompletionItemKind.Constant,
+                    line
+                ),
+                ...this.#definitionsToCompletions(
+                    'rule',
+                    wordPrefix,
+                    CompletionItemKind.Function,
+                    line
+                )
+            );
+            return completions;
+        }
 
         return [];
     }
 
+    /**
+     * Returns completion items for the aliases which code in a
+     * code block can use.
+     * @param {CodeBlockNode} codeBlock
+     * @param {string} wordPrefix - The partial alias being typed
+     * @returns {CompletionItem[]}
+     */
+    #getAliasCompletions(codeBlock, wordPrefix) {
+        const rule = codeBlock.rule;
+        if (!rule) return [];
+
+        /** @type {CompletionItem[]} */
+        const completions = [];
+        rule.elements.forEach((rdef, index) => {
+            if (!rdef.alias || !rdef.alias.lexeme.startsWith(wordPrefix)) return;
+
+            completions.push({
+                label: rdef.alias.lexeme,
+                kind: CompletionItemKind.Variable,
+                detail: `alias of ${rdef.element.lexeme}`,
+                documentation: {
+                    kind: /** @type {'markdown'} */ ('markdown'),
+                    value: '```yantra\n' + rule.getFormattedLines()[0] + '\n```'
+                },
+                // In the order of the elements
+                sortText: String(index).padStart(4, '0')
+            });
+        });
+
+        return completions;
+    }
+
+    /**
+     * Returns completion items for the parameters of a pragma.
+     * @param {string} pragmaName - The name of the pragma, without the %
+     * @param {string} paramsText - The parameters before the cursor
+     * @param {string} wordPrefix - The partial parameter being typed
+     * @param {number} line - The line of the cursor
+     * @returns {CompletionItem[]}
+     */
+    #getPragmaParameterCompletions(pragmaName, paramsText, wordPrefix, line) {
+        // Nothing after the end of the pragma
+        if (paramsText.includes(';')) return [];
+
+        // The index of the parameter being typed
+        const paramIndex = paramsText.trimStart().split(/\s+/).length - 1;
+
+        switch (pragmaName) {
+            case 'members':
+            case 'default_walker':
+            case 'walker_interface':
+                if (paramIndex !== 0) return [];
+                return this.#definitionsToCompletions(
+                    'walker',
+                    wordPrefix,
+                    CompletionItemKind.Class,
+                    line
+                );
+            case 'start':
+                if (paramIndex !== 0) return [];
+                return this.#definitionsToCompletions(
+                    'rule',
+                    wordPrefix,
+                    CompletionItemKind.Function,
+                    line
+                );
+            case 'function':
+                if (paramIndex === 0) {
+                    return this.#definitionsToCompletions(
+                        'rule',
+                        wordPrefix,
+                        CompletionItemKind.Function,
+                        line
+                    );
+                }
+                // The walker name is followed by ::function
+                if (paramIndex === 1 && /^\s*\S+\s+\w*$/.test(paramsText)) {
+                    return this.#definitionsToCompletions(
+                        'walker',
+                        wordPrefix,
+                        CompletionItemKind.Class,
+                        line
+                    );
+                }
+                return [];
+            case 'left':
+            case 'right':
+            case 'token': {
+                // A precedence pragma must come before the definitions
+                // of its tokens
+                const tokenDefinitions = this.#definitionsMap.get('token');
+                return this.#definitionsToCompletions(
+                    'token',
+                    wordPrefix,
+                    CompletionItemKind.Constant,
+                    line
+                ).filter(completion => (tokenDefinitions?.get(completion.label) ?? []).every(
+                    def => def.range.start.line > line
+                ));
+            }
+            default:
+                return [];
+        }
+    }
+
     /**
      * Gets errors detected after a  parse.
      * @returns {YantraError[]}
@@ -369,397 +923,2119 @@ class YantraParser {
     /**
      * Pretty prints the current document. Returns an array of
      * strings, or an empty array if pretty printing not 
-     * possible.
+     * possible. Lines which could not be parsed, or which have
+     * errors, are kept as they are.
+     * @param {FormatOptions} [options]
      * @returns {string[]}
      */
-    getFormattedLines() {
-        /** @type {string[]} */
-        const lines = [];
-        if (this.status !== ParserStatus.Ready || !this.#globalState) return lines;
-        if (this.#globalState.errors.length > 0) return lines;
-
-        // Get the formatted representation of AST nodes
-        this.#astNodes.forEach((node, index, nodes) => {
-            // If the node is equal to the previous node
-            // (as happens with code blocks), don't add
-            // again.
-            const nodeLines = !node
-                ? ['']
-                : index === 0 || node != nodes[index - 1]
-                    ? node.getFormattedLines()
-                    : undefined;
-
-            nodeLines && lines.push(...nodeLines);
-        });
+    getFormattedLines(options = DEFAULT_FORMAT_OPTIONS) {
+        return this.#getFormattedSegments(options).flatMap(segment => segment.lines);
+    }
 
-        // Run post-processing, such as aligning token
-        // definitions.
-        const processedlines = this.#alignTokenDefs(lines);
+    /**
+     * Pretty prints the nodes on a range of lines. The range is
+     * extended to whole nodes, so that a code block is formatted
+     * with all its lines. Token definitions are aligned with their
+     * neighbours, even those outside the range. Returns undefined
+     * if pretty printing is not possible.
+     * @param {Number} startLine
+     * @param {Number} endLine - The last line of the range
+     * @param {FormatOptions} [options]
+     * @returns {FormattedRange|undefined}
+     */
+    getFormattedRange(startLine, endLine, options = DEFAULT_FORMAT_OPTIONS) {
+        const segments = this.#getFormattedSegments(options).filter(
+            segment => segment.endLine > startLine && segment.startLine <= endLine
+        );
+        if (segments.length === 0) return undefined;
 
-        return processedlines;
+        return {
+            startLine: segments[0].startLine,
+            endLine: segments[segments.length - 1].endLine,
+            lines: segments.flatMap(segment => segment.lines)
+        };
     }
 
     /**
-     * Aligns token definitions by position of assignment symbol.
-     * @param {string[]} lines 
-     * @returns {string[]}
+     * Pretty prints the node which was finished by typing a
+     * character: a ; ending a pragma, token or rule definition,
+     * or the } of a %} ending a code block. Returns undefined if
+     * the character does not finish a node.
+     * @param {Number} line
+     * @param {string} typedCharacter
+     * @param {FormatOptions} [options]
+     * @returns {FormattedRange|undefined}
      */
-    #alignTokenDefs(lines) {
-        const tokenDefRegex = SyntaxPattern.TokenDefinition;
-        /** @type {string[]} **/
-        const result = [];
-        /** @type {string[]} */
-        let buffer = [];
+    getFormattedRangeOnType(line, typedCharacter, options = DEFAULT_FORMAT_OPTIONS) {
+        if (this.#status !== ParserStatus.Ready) return undefined;
 
-        const flushBuffer = () => {
-            if (buffer.length === 0) return;
+        const node = this.#astNodes[line];
+        if (!node) return undefined;
+
+        // A ; inside a code block is C++ code, and one in a comment
+        // ends nothing
+        if (node instanceof CommentNode) return undefined;
+        if (node instanceof CodeBlockNode) {
+            if (typedCharacter !== '}' || this.#lines[line].trim() !== '%}') return undefined;
+        } else if (typedCharacter !== ';' || !this.#getLineCode(line).endsWith(';')) {
+            return undefined;
+        }
 
-            // Determine max length of the left-hand side
-            const maxLhsLength = Math.max(...buffer.map(line => {
-                const match = line.match(tokenDefRegex);
-                return match ? match[1].length : 0;
-            }));
+        return this.getFormattedRange(line, line, options);
+    }
 
-            // Reformat each line in the buffer
-            for (const line of buffer) {
-                const match = line.match(tokenDefRegex);
-                if (match) {
-                    const lhs = match[1].padEnd(maxLhsLength, ' ');
-                    const rhs = match[3];
-                    const bang = match[4] || '';
-                    const lexermode = match[5] ? ` [${match[5]}]` : '';
-                    const semicolon = match[6];
-                    result.push(`${lhs} := ${rhs}${bang}${lexermode}${semicolon}`);
-                } else {
-                    result.push(line); // fallback, shouldn't happen
-                }
-            }
+    /**
+     * Returns the text of a line outside a code block, without its
+     * comments and surrounding spaces.
+     * @param {Number} line
+     * @returns {string}
+     */
+    #getLineCode(line) {
+        let code = this.#lines[line];
+        this.#astNodes[line]?.comments.forEach((comment) => {
+            if (comment.range.start.line !== line) return;
+
+            const start = comment.range.start.character;
+            const end = comment.range.end.character;
+            code = code.slice(0, start) + ' '.repeat(end - start) + code.slice(end);
+        });
+        return code.trim();
+    }
 
-            buffer = [];
-        };
+    /**
+     * Pretty prints the document, node by node. Each segment holds
+     * the lines of a node, or of a line kept as it is, with the
+     * formatted lines which replace them.
+     * @param {FormatOptions} options
+     * @returns {FormattedSegment[]}
+     */
+    #getFormattedSegments(options) {
+        /** @type {FormattedSegment[]} */
+        const segments = [];
+        if (this.status !== ParserStatus.Ready || !this.#globalState) return segments;
 
-        for (const line of lines) {
-            if (tokenDefRegex.test(line)) {
-                buffer.push(line);
+        const errorLines = this.#getErrorLines();
+        /** @type {string[]} */
+        const lines = [];
+        /**
+         * Indexes of the lines which were kept as they are
+         * @type {Set<number>} */
+        const keptLines = new Set();
+
+        for (let start = 0; start < this.#lines.length;) {
+            // Consecutive lines of the same node (as happens
+            // with code blocks), and the lines which continue a
+            // rule definition, are formatted together.
+            const node = this.#astNodes[start];
+            let end = start + 1;
+            while (node && end < this.#lines.length && this.#isPartOfNode(this.#astNodes[end], node)) end++;
+
+            const sourceLines = this.#lines.slice(start, end);
+            const hasErrors = sourceLines.some((_, index) => errorLines.has(start + index));
+            const nodeLines = this.#formatNode(node, sourceLines, hasErrors, options);
+            if (nodeLines) {
+                segments.push({ startLine: start, endLine: end, lines: nodeLines, node, kept: false });
+                lines.push(...nodeLines);
             } else {
-                flushBuffer();
-                result.push(line);
+                sourceLines.forEach((lineText, index) => {
+                    segments.push({
+                        startLine: start + index,
+                        endLine: start + index + 1,
+                        lines: [lineText],
+                        node: undefined,
+                        kept: true
+                    });
+                    keptLines.add(lines.length);
+                    lines.push(lineText);
+                });
             }
+
+            start = end;
         }
 
-        flushBuffer(); // flush any remaining lines
+        // Run post-processing, such as aligning token
+        // definitions. This does not change the number
+        // of lines.
+        if (options.alignTokenDefinitions) {
+            const processedlines = this.#alignTokenDefs(lines, keptLines);
+
+            let lineIndex = 0;
+            segments.forEach((segment) => {
+                segment.lines = processedlines.slice(lineIndex, lineIndex + segment.lines.length);
+                lineIndex += segment.lines.length;
+            });
+        }
 
-        return result;
+        if (options.alignRuleAssignments) {
+            this.#alignRuleAssignments(segments, options);
+        }
+
+        if (options.maxBlankLines >= 0) {
+            this.#limitBlankLines(segments, options.maxBlankLines);
+        }
+
+        segments.forEach(segment => this.#addFormattedComments(segment));
+
+        return segments;
     }
 
     /**
-     * Tries to intelligently rename all occurances of an element.
-     * Identifies the element at the specified position, fetches 
-     * all references to it, and returns an array of TextEdit
-     * objects, which look like this: {range:{}, newText: ''}.
-     * @param {Number} line - The line where the symbol to be renamed resides
-     * @param {*} character - The character position of that symbol
-     * @param {*} newName - The new name to be given
+     * Puts the comments of a node back on its formatted lines.
+     * Comments before the code of a line stay before it, and
+     * all others follow it.
+     * @param {FormattedSegment} segment
      */
-    renameSymbolAt(line, character, newName) {
-
-        const refs = this.getReferencesForElementAt(line, character);
-        if (refs.length === 0) return refs;
+    #addFormattedComments(segment) {
+        segment.node?.comments.forEach((comment) => {
+            const index = Math.min(
+                comment.range.start.line - segment.startLine,
+                segment.lines.length - 1
+            );
 
-        const edits = refs.map(range => {
-            return { range, newText: newName };
+            segment.lines[index] = comment.leading
+                ? `${comment.text} ${segment.lines[index]}`
+                : `${segment.lines[index]} ${comment.text}`;
         });
-
-        return edits;
     }
 
     /**
-     * Returns an array of DocumentSymbols, which in turn contain
-     * their own arrays of DocumentSymbols. This can be used to
-     * populate an outline view of a Yantra document.
-     * @returns {DocumentSymbol[]}
+     * Aligns the := of the alternatives of each rule, which may
+     * be separated by their code blocks. The alternatives are
+     * formatted again, so that they are wrapped to the maximum
+     * line width with the := aligned.
+     * @param {FormattedSegment[]} segments
+     * @param {FormatOptions} options
      */
-    getDocumentSymbols() {
-        if (this.#status !== ParserStatus.Ready) return [];
+    #alignRuleAssignments(segments, options) {
+        /** @type {FormattedSegment[]} */
+        let alternatives = [];
 
-        const docStart = { line: 0, character: 0 };
-        const docEnd = { line: this.#astNodes.length + 1, character: 0 };
+        const alignAlternatives = () => {
+            const assignColumns = alternatives.map(segment => segment.lines[0].indexOf(' :='));
+            const maxAssignColumn = Math.max(...assignColumns);
 
-        const emptyRange = {
-            start: docStart,
-            end: docStart
+            alternatives.forEach((segment) => {
+                const rule = /** @type {RuleNode} */ (segment.node);
+                segment.lines = rule.getFormattedLines(options, maxAssignColumn);
+            });
+
+            alternatives = [];
         };
-        const documentRange = {
-            start: docStart,
-            end: docEnd
+
+        segments.forEach((segment) => {
+            const node = segment.node;
+            if (node instanceof RuleNode) {
+                if (alternatives.length > 0 && alternatives[0].node?.name !== node.name) {
+                    alignAlternatives();
+                }
+                alternatives.push(segment);
+            } else if (!(node instanceof CodeBlockNameNode || node instanceof CodeBlockNode)) {
+                alignAlternatives();
+            }
+        });
+
+        alignAlternatives();
+    }
+
+    /**
+     * Removes blank lines which follow more than the maximum
+     * number of consecutive blank lines. Lines inside code
+     * blocks are not changed, nor is the last line, so that
+     * a document ending with a line break still does.
+     * @param {FormattedSegment[]} segments
+     * @param {Number} maxBlankLines
+     */
+    #limitBlankLines(segments, maxBlankLines) {
+        let blankLines = 0;
+
+        segments.slice(0, -1).forEach((segment) => {
+            const isBlank = !segment.node && !segment.kept && segment.lines[0] === '';
+            if (!isBlank) {
+                blankLines = 0;
+                return;
+            }
+
+            blankLines++;
+            if (blankLines > maxBlankLines) {
+                segment.lines = [];
+            }
+        });
+    }
+
+    /**
+     * Checks if the node of a line is part of a node which starts
+     * on an earlier line: the same node, as the lines of a code
+     * block are, or a line which continues a rule definition.
+     * @param {ASTNode|undefined} lineNode
+     * @param {ASTNode} node
+     * @returns {boolean}
+     */
+    #isPartOfNode(lineNode, node) {
+        return lineNode === node ||
+            (lineNode instanceof RuleContinuationNode && lineNode.rule === node);
+    }
+
+    /**
+     * Returns the formatted lines of a node, or undefined if its
+     * source lines should be kept as they are. A blank line has
+     * no node.
+     * @param {ASTNode|undefined} node
+     * @param {string[]} sourceLines - The lines of the node in the document
+     * @param {boolean} hasErrors - Whether the node has errors
+     * @param {FormatOptions} options
+     * @returns {string[]|undefined}
+     */
+    #formatNode(node, sourceLines, hasErrors, options) {
+        if (!node) {
+            // A line which could not be parsed, or was not
+            // parsed because there were too many errors.
+            return sourceLines[0].trim() === '' ? [''] : undefined;
+        }
+        if (hasErrors) return undefined;
+
+        // Comments between the code of a line, or on the lines
+        // which continue a rule definition, could not be put back
+        // where they were, so such a node is kept as it is.
+        if (node.comments.some(comment => comment.inline)) return undefined;
+        if (
+            node instanceof RuleNode &&
+            node.comments.some(comment => comment.range.start.line !== node.range.start.line)
+        ) {
+            return undefined;
+        }
+
+        // Nodes which cannot be printed return nothing, or
+        // a blank line.
+        const nodeLines = node.getFormattedLines(options);
+        if (nodeLines.length === 0) return undefined;
+        if (nodeLines.length === 1 && nodeLines[0] === '' && sourceLines[0].trim() !== '') {
+            return undefined;
+        }
+
+        return nodeLines;
+    }
+
+    /**
+     * Returns the lines which have errors.
+     * @returns {Set<number>}
+     */
+    #getErrorLines() {
+        /** @type {Set<number>} */
+        const errorLines = new Set();
+
+        this.getErrors().forEach((error) => {
+            if (error.severity !== ErrorSeverity.Error) return;
+
+            for (let line = error.range.start.line; line <= error.range.end.line; line++) {
+                errorLines.add(line);
+            }
+        });
+
+        return errorLines;
+    }
+
+    /**
+     * Aligns token definitions by position of assignment symbol.
+     * Lines kept from the document are left unchanged.
+     * @param {string[]} lines 
+     * @param {Set<number>} keptLines - Indexes of lines which were kept as they are
+     * @returns {string[]}
+     */
+    #alignTokenDefs(lines, keptLines) {
+        const tokenDefRegex = SyntaxPattern.TokenDefinition;
+        /** @type {string[]} **/
+        const result = [];
+        /** @type {string[]} */
+        let buffer = [];
+
+        const flushBuffer = () => {
+            if (buffer.length === 0) return;
+
+            // Determine max length of the left-hand side
+            const maxLhsLength = Math.max(...buffer.map(line => {
+                const match = line.match(tokenDefRegex);
+                return match ? match[1].length : 0;
+            }));
+
+            // Reformat each line in the buffer
+            for (const line of buffer) {
+                const match = line.match(tokenDefRegex);
+                if (match) {
+                    const lhs = match[1].padEnd(maxLhsLength, ' ');
+                    const rhs = match[3];
+                    const bang = match[4] || '';
+                    const lexermode = match[5] ? ` [${match[5]}]` : '';
+                    const semicolon = match[6];
+                    result.push(`${lhs} := ${rhs}${bang}${lexermode}${semicolon}`);
+                } else {
+                    result.push(line); // fallback, shouldn't happen
+                }
+            }
+
+            buffer = [];
         };
 
-        const tokenSymbols = {
-            name: 'Tokens',
-            kind: SymbolKind.Namespace,
-            range: documentRange,
-            selectionRange: emptyRange,
-            children: []
+        lines.forEach((line, index) => {
+            if (!keptLines.has(index) && tokenDefRegex.test(line)) {
+                buffer.push(line);
+            } else {
+                flushBuffer();
+                result.push(line);
+            }
+        });
+
+        flushBuffer(); // flush any remaining lines
+
+        return result;
+    }
+
+    /**
+     * Returns quick fixes for the diagnostics passed. Diagnostics
+     * are identified by their structured code, and only those
+     * raised by this parser are considered.
+     * @param {{range: range, code?: string|number, data?: any}[]} diagnostics
+     * @returns {CodeAction[]}
+     */
+    getCodeActions(diagnostics) {
+        /** @type {CodeAction[]} */
+        const actions = [];
+        if (this.#status !== ParserStatus.Ready) return actions;
+
+        diagnostics.forEach(diagnostic => {
+            const name = diagnostic.data?.name;
+            if (!name) return;
+
+            /** @type {TextEdit|undefined} */
+            let edit;
+            let title = '';
+
+            switch (diagnostic.code) {
+                case DiagnosticCode.UndefinedToken:
+                    title = `Define token '${name}'`;
+                    edit = this.#insertTokenStub(name);
+                    break;
+                case DiagnosticCode.UndefinedRule:
+                    title = `Define rule '${name}'`;
+                    edit = this.#insertLinesAfter(
+                        this.#getLastLineOf(diagnostic.range.start.line),
+                        [`${name} := ;`]
+                    );
+                    break;
+                case DiagnosticCode.UndefinedCodeBlock: {
+                    const codeBlockEdits = this.getMissingCodeBlockEdits(name);
+                    if (codeBlockEdits.length === 0) return;
+
+                    actions.push({
+                        title: `Implement '${name}'`,
+                        kind: 'quickfix',
+                        diagnostics: [diagnostic],
+                        edits: codeBlockEdits
+                    });
+                    return;
+                }
+                case DiagnosticCode.UnusedToken:
+                    title = `Remove unused token '${name}'`;
+                    edit = this.#deleteLines(diagnostic.range.start.line);
+                    break;
+                case DiagnosticCode.UndefinedLexerMode:
+                    // Tokens which follow a lexer mode pragma belong to
+                    // that mode, so a new mode goes at the end.
+                    title = `Define lexer mode '${name}'`;
+                    edit = this.#insertLinesAfter(
+                        this.#lines.length - 1,
+                        ['', `%lexer_mode ${name};`, this.#getLexerModeStub(name)]
+                    );
+                    break;
+                default:
+                    return;
+            }
+
+            actions.push({
+                title,
+                kind: 'quickfix',
+                diagnostics: [diagnostic],
+                edits: [edit]
+            });
+        });
+
+        // Offer to implement all missing code blocks at once
+        const codeBlockDiagnostics = diagnostics.filter(
+            diagnostic => diagnostic.code === DiagnosticCode.UndefinedCodeBlock
+        );
+        if (codeBlockDiagnostics.length > 0) {
+            const allEdits = this.getMissingCodeBlockEdits();
+            if (allEdits.length > 0) {
+                actions.push({
+                    title: 'Implement missing walker functions',
+                    kind: 'quickfix',
+                    diagnostics: codeBlockDiagnostics,
+                    edits: allEdits
+                });
+            }
+        }
+
+        // Offer to remove all unused tokens at once
+        const unusedTokenDiagnostics = diagnostics.filter(
+            diagnostic => diagnostic.code === DiagnosticCode.UnusedToken
+        );
+        if (unusedTokenDiagnostics.length > 0 && this.#globalState) {
+            const unusedTokenLines = this.#globalState.errors
+                .filter(error => error.code === DiagnosticCode.UnusedToken)
+                .map(error => error.range.start.line);
+
+            actions.push({
+                title: 'Remove all unused tokens',
+                kind: 'quickfix',
+                diagnostics: unusedTokenDiagnostics,
+                edits: this.#deleteLineSet(unusedTokenLines)
+            });
+        }
+
+        // Diagnostics on several lines, such as a %function pragma
+        // and a rule definition, can ask for the same fix
+        /** @type {Map<string, CodeAction>} */
+        const uniqueActions = new Map();
+        actions.forEach((action) => {
+            const key = `${action.title}\n${JSON.stringify(action.edits)}`;
+            const existing = uniqueActions.get(key);
+            if (existing) {
+                existing.diagnostics.push(...action.diagnostics);
+            } else {
+                uniqueActions.set(key, action);
+            }
+        });
+        return Array.from(uniqueActions.values());
+    }
+
+    /**
+     * Creates edits that add an empty code block under each rule
+     * definition, for each walker function declared for the rule
+     * with %function but not yet implemented. A rule definition
+     * that ends in a semicolon has the semicolon removed, so that
+     * it can be followed by code blocks.
+     * @param {string} [codeBlockName] - If specified, only the code block with this full name is created
+     * @returns {TextEdit[]}
+     */
+    getMissingCodeBlockEdits(codeBlockName) {
+        /** @type {TextEdit[]} */
+        const edits = [];
+        const globalState = this.#globalState;
+        if (this.#status !== ParserStatus.Ready || !globalState) return edits;
+
+        this.#astNodes.forEach((node, line) => {
+            if (!(node instanceof RuleNode)) return;
+
+            /** @type {string[]} */
+            const newLines = [];
+
+            globalState.getFunctionsForRule(node.name).forEach(funcDef => {
+                /** @type {any} */
+                const func = funcDef;
+                const fullName = `${node.internalName}::${func.walkerName}::${func.functionName}`;
+
+                if (codeBlockName && codeBlockName !== fullName) return;
+                if (globalState.lookupReference({ type: 'walkerinterface', name: func.walkerName })) return;
+                if (globalState.getDefinitions('codeblock', fullName).length > 0) return;
+
+                newLines.push(
+                    `@${func.walkerName}::${func.functionName}`,
+                    '%{',
+                    `    // ${func.functionName}(${func.parameters}) -> ${func.returnType}`,
+                    '%}'
+                );
+            });
+
+            if (newLines.length === 0) return;
+
+            if (node.terminatorToken) {
+                edits.push({ range: node.terminatorToken.range, newText: '' });
+            }
+
+            edits.push(this.#insertLinesAfter(this.#getLastLineOf(line), newLines));
+        });
+
+        return edits;
+    }
+
+    /**
+     * Returns a token definition stub for a new lexer mode. A mode
+     * without tokens, or without a way back to the mode which entered
+     * it, is reported, so the stub is a token which returns.
+     * @param {string} modeName
+     * @returns {string}
+     */
+    #getLexerModeStub(modeName) {
+        const baseName = `${modeName.toUpperCase()}_END`;
+        let tokenName = baseName;
+        for (let i = 2; this.#definitionsMap.get('token')?.has(tokenName); i++) {
+            tokenName = `${baseName}${i}`;
+        }
+        return `${tokenName} := "${tokenName.toLowerCase()}"[^];`;
+    }
+
+    /**
+     * Creates an edit that inserts a token definition stub after
+     * the last token definition. If there are no token definitions,
+     * the stub goes before the first rule definition. Token patterns
+     * cannot be empty, so the stub matches the name of the token in
+     * lower case, as a placeholder.
+     * @param {string} tokenName 
+     * @returns {TextEdit}
+     */
+    #insertTokenStub(tokenName) {
+        const stub = `${tokenName} := "${tokenName.toLowerCase()}";`;
+
+        let lastTokenLine = this.#astNodes.length - 1;
+        while (lastTokenLine >= 0 && !(this.#astNodes[lastTokenLine] instanceof TokenNode)) {
+            lastTokenLine--;
+        }
+        if (lastTokenLine !== -1) {
+            return this.#insertLinesAfter(lastTokenLine, [stub]);
+        }
+
+        const firstRuleLine = this.#astNodes.findIndex(node => node instanceof RuleNode);
+        if (firstRuleLine !== -1) {
+            return this.#insertLinesAfter(firstRuleLine - 1, [stub, '']);
+        }
+
+        return this.#insertLinesAfter(this.#lines.length - 1, [stub]);
+    }
+
+    /**
+     * Returns the last line of the construct on the specified line.
+     * For a rule definition, this includes the lines continuing it,
+     * and any code blocks and code block names that follow it.
+     * @param {Number} line 
+     * @returns {Number}
+     */
+    #getLastLineOf(line) {
+        let lastLine = line;
+        while (
+            lastLine + 1 < this.#astNodes.length && (
+                this.#astNodes[lastLine + 1] instanceof RuleContinuationNode ||
+                this.#astNodes[lastLine + 1] instanceof CodeBlockNameNode ||
+                this.#astNodes[lastLine + 1] instanceof CodeBlockNode
+            )
+        ) {
+            lastLine++;
+        }
+        return lastLine;
+    }
+
+    /**
+     * Creates an edit that inserts lines after the specified line.
+     * A line number of -1 inserts at the start of the document.
+     * @param {Number} line 
+     * @param {string[]} newLines 
+     * @returns {TextEdit}
+     */
+    #insertLinesAfter(line, newLines) {
+        // If there is no next line, append to the end of the last
+        // line instead.
+        if (line + 1 >= this.#lines.length) {
+            const lastLine = this.#lines.length - 1;
+            const position = { line: lastLine, character: this.#lines[lastLine].length };
+            return {
+                range: { start: position, end: position },
+                newText: this.#eol + newLines.join(this.#eol)
+            };
+        }
+
+        const position = { line: line + 1, character: 0 };
+        return {
+            range: { start: position, end: position },
+            newText: newLines.join(this.#eol) + this.#eol
         };
-        this.#addSymbols(tokenSymbols.children, 'token', SymbolKind.Constant);
+    }
 
-        const ruleSymbols = {
-            name: 'Rules',
-            kind: SymbolKind.Namespace,
-            range: documentRange,
-            selectionRange: emptyRange,
-            children: []
+    /**
+     * Creates an edit that deletes a run of lines, including their
+     * line breaks.
+     * @param {Number} firstLine
+     * @param {Number} [lastLine] - Inclusive. Defaults to the first line.
+     * @returns {TextEdit}
+     */
+    #deleteLines(firstLine, lastLine = firstLine) {
+        // The last line has no line break of its own, so delete the
+        // one before the run instead.
+        if (lastLine + 1 >= this.#lines.length && firstLine > 0) {
+            return {
+                range: {
+                    start: { line: firstLine - 1, character: this.#lines[firstLine - 1].length },
+                    end: { line: lastLine, character: this.#lines[lastLine].length }
+                },
+                newText: ''
+            };
+        }
+
+        // A run which is the whole document leaves an empty document
+        const end = lastLine + 1 >= this.#lines.length
+            ? { line: lastLine, character: this.#lines[lastLine].length }
+            : { line: lastLine + 1, character: 0 };
+
+        return {
+            range: {
+                start: { line: firstLine, character: 0 },
+                end
+            },
+            newText: ''
         };
-        this.#addSymbols(ruleSymbols.children, 'rule', SymbolKind.Function);
+    }
 
-        const walkerSymbols = {
-            name: 'Walkers',
-            kind: SymbolKind.Namespace,
-            range: documentRange,
-            selectionRange: emptyRange,
-            children: []
+    /**
+     * Creates edits that delete a set of lines. Consecutive lines
+     * are deleted by one edit, so that the edits do not overlap.
+     * @param {Number[]} lines
+     * @returns {TextEdit[]}
+     */
+    #deleteLineSet(lines) {
+        const sortedLines = Array.from(new Set(lines)).sort((a, b) => a - b);
+
+        /** @type {TextEdit[]} */
+        const edits = [];
+        let firstLine = 0;
+        sortedLines.forEach((line, index) => {
+            if (index === 0 || line !== sortedLines[index - 1] + 1) {
+                firstLine = line;
+            }
+            if (index === sortedLines.length - 1 || sortedLines[index + 1] !== line + 1) {
+                edits.push(this.#deleteLines(firstLine, line));
+            }
+        });
+        return edits;
+    }
+
+    /**
+     * Tries to intelligently rename all occurances of an element.
+     * Identifies the element at the specified position, fetches 
+     * all references to it, and returns an array of TextEdit
+     * objects, which look like this: {range:{}, newText: ''}.
+     * @param {Number} line - The line where the symbol to be renamed resides
+     * @param {*} character - The character position of that symbol
+     * @param {*} newName - The new name to be given
+     */
+    renameSymbolAt(line, character, newName) {
+        const alias = this.#getAliasAt(line, character);
+        if (alias) {
+            return this.#getAliasRanges(alias.rule, alias.element).map(
+                range => ({ range, newText: newName })
+            );
+        }
+
+        const refs = this.getReferencesForElementAt(line, character);
+        if (refs.length === 0) return refs;
+
+        const edits = refs.map(range => {
+            return { range, newText: newName };
+        });
+
+        return edits;
+    }
+
+    /**
+     * Returns the range and current text of the symbol at a position,
+     * if it can be renamed. Otherwise returns null.
+     * @param {Number} line
+     * @param {Number} character
+     * @returns {{range: range, placeholder: string}|null}
+     */
+    prepareRenameAt(line, character) {
+        const target = this.#getRenameTarget(line, character);
+        if (!target) return null;
+
+        return { range: target.range, placeholder: target.text };
+    }
+
+    /**
+     * Checks if the symbol at a position can be renamed to a new
+     * name. The name must suit the kind of symbol, must not be the
+     * name of another symbol of that kind, and must not be a C++
+     * keyword. Returns a message explaining why the symbol cannot be
+     * renamed, or an empty string if it can.
+     * @param {Number} line
+     * @param {Number} character
+     * @param {string} newName
+     * @returns {string}
+     */
+    getRenameError(line, character, newName) {
+        const target = this.#getRenameTarget(line, character);
+        if (!target) return 'There is no symbol here which can be renamed';
+        if (newName === target.text) return '';
+
+        const kind = RenameKinds[target.type];
+        if (!kind.pattern.test(newName)) {
+            return `'${newName}' is not a valid ${kind.description} name: ${kind.rule}`;
+        }
+
+        if (target.alias) {
+            const elementName = target.alias.element.element.lexeme;
+            if (ElementPattern.TokenName.test(elementName)) {
+                if (!ElementPattern.TokenName.test(newName)) {
+                    return 'The alias name for a token must match the casing of token names';
+                }
+            } else if (!ElementPattern.RuleName.test(newName)) {
+                return 'The alias name for a rule must match the casing of rule names';
+            }
+        }
+
+        if (CppKeywords.has(newName)) {
+            return `'${newName}' is a C++ keyword, and cannot be used as the name of this ${kind.description}`;
+        }
+
+        // Code blocks named go implement the default function of a walker
+        if (target.type === 'function' && newName === 'go') {
+            return `'go' is the default function of every walker, and cannot be declared with %function`;
+        }
+
+        if (target.alias) {
+            const { rule, element } = target.alias;
+            const otherElement = rule.elements.find(
+                rdef => rdef !== element && rdef.alias?.lexeme === newName
+            );
+            if (otherElement) {
+                return `The alias '${newName}' is already used by '${otherElement.element.lexeme}' in this rule definition`;
+            }
+            return '';
+        }
+
+        // Function names are in the format rule::walker::function
+        const newFullName = target.type === 'function'
+            ? target.name.split('::').slice(0, 2).concat(newName).join('::')
+            : newName;
+        if (this.#definitionsMap.get(target.type)?.has(newFullName)) {
+            return `A ${kind.description} named '${newName}' already exists. Renaming would merge the two`;
+        }
+
+        return '';
+    }
+
+    /**
+     * Finds the symbol at a position which can be renamed.
+     * @param {Number} line
+     * @param {Number} character
+     * @returns {RenameTarget|undefined}
+     */
+    #getRenameTarget(line, character) {
+        if (this.#status !== ParserStatus.Ready) return undefined;
+
+        const alias = this.#getAliasAt(line, character);
+        if (alias) {
+            const aliasRange = this.#getAliasRanges(alias.rule, alias.element).find(
+                range => range.start.line === line &&
+                    range.start.character <= character &&
+                    range.end.character >= character
+            );
+            if (!aliasRange) return undefined;
+
+            const aliasName = /** @type {LexicalToken} */ (alias.element.alias).lexeme;
+            return {
+                type: 'alias',
+                name: aliasName,
+                text: aliasName,
+                range: aliasRange,
+                alias
+            };
+        }
+
+        const node = this.#astNodes[line];
+        if (!node) return undefined;
+
+        const searchElement = node.getReferenceOrNodeAt(character);
+        if (!searchElement?.type || !(searchElement.type in RenameKinds)) return undefined;
+
+        /** @type {Reference} */
+        // @ts-ignore
+        const searchRef = { name: searchElement.name, type: searchElement.type };
+        const lexicalToken = node.getLexicalTokensFor(searchRef).find(
+            token => token?.isCharacterInside(character)
+        );
+        if (!lexicalToken) return undefined;
+
+        return {
+            type: searchRef.type,
+            name: searchRef.name,
+            text: lexicalToken.lexeme,
+            range: lexicalToken.range
+        };
+    }
+
+    /**
+     * Finds the alias of a rule element at a position, either where
+     * it is declared in a rule definition, or where it is used in a
+     * code block of that definition.
+     * @param {Number} line
+     * @param {Number} character
+     * @returns {{rule: RuleNode, element: RuleDefElement}|undefined}
+     */
+    #getAliasAt(line, character) {
+        if (this.#status !== ParserStatus.Ready) return undefined;
+
+        const node = this.#astNodes[line];
+
+        if (node instanceof RuleNode) {
+            const element = node.getElementWithAliasAt(character);
+            return element ? { rule: node, element } : undefined;
+        }
+
+        if (node instanceof RuleContinuationNode) {
+            const element = node.getElementWithAliasAt(character);
+            return element ? { rule: node.rule, element } : undefined;
+        }
+
+        if (node instanceof CodeBlockNode && node.rule) {
+            const rule = node.rule;
+            const aliasToken = node.getAliasAt(line, character);
+            const element = rule.elements.find(rdef => rdef.alias === aliasToken);
+            return aliasToken && element ? { rule, element } : undefined;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Returns the ranges of an alias in a rule definition, and its
+     * uses in the code blocks of that definition.
+     * @param {RuleNode} rule
+     * @param {RuleDefElement} element
+     * @returns {range[]}
+     */
+    #getAliasRanges(rule, element) {
+        const alias = /** @type {LexicalToken} */ (element.alias);
+
+        /** @type {range[]} */
+        const ranges = [alias.range];
+
+        /** @type {Set<CodeBlockNode>} */
+        const codeBlocks = new Set();
+        this.#astNodes.forEach((node) => {
+            if (node instanceof CodeBlockNode && node.rule === rule) codeBlocks.add(node);
+        });
+        codeBlocks.forEach(codeBlock => ranges.push(...codeBlock.getAliasUseRanges(alias.lexeme)));
+
+        return ranges;
+    }
+
+    /**
+     * Returns an array of DocumentSymbols, which in turn contain
+     * their own arrays of DocumentSymbols. This can be used to
+     * populate an outline view of a Yantra document.
+     * @returns {DocumentSymbol[]}
+     */
+    getDocumentSymbols() {
+        if (this.#status !== ParserStatus.Ready) return [];
+
+        const docStart = { line: 0, character: 0 };
+        const docEnd = { line: this.#astNodes.length + 1, character: 0 };
+
+        const emptyRange = {
+            start: docStart,
+            end: docStart
+        };
+        const documentRange = {
+            start: docStart,
+            end: docEnd
+        };
+
+        const tokenSymbols = {
+            name: 'Tokens',
+            kind: SymbolKind.Namespace,
+            range: documentRange,
+            selectionRange: emptyRange,
+            children: []
+        };
+        this.#addSymbols(tokenSymbols.children, 'token', SymbolKind.Constant);
+
+        const ruleSymbols = {
+            name: 'Rules',
+            kind: SymbolKind.Namespace,
+            range: documentRange,
+            selectionRange: emptyRange,
+            children: []
+        };
+        this.#addSymbols(ruleSymbols.children, 'rule', SymbolKind.Function);
+
+        const walkerSymbols = {
+            name: 'Walkers',
+            kind: SymbolKind.Namespace,
+            range: documentRange,
+            selectionRange: emptyRange,
+            children: []
+        };
+        this.#addSymbols(walkerSymbols.children, 'walker', SymbolKind.Class);
+
+        const functionSymbols = {
+            name: 'Functions',
+            kind: SymbolKind.Namespace,
+            range: documentRange,
+            selectionRange: emptyRange,
+            children: []
+        };
+        this.#addSymbols(functionSymbols.children, 'function', SymbolKind.Method);
+
+        const lexerModeSymbols = {
+            name: 'Lexer Modes',
+            kind: SymbolKind.Namespace,
+            range: documentRange,
+            selectionRange: emptyRange,
+            children: []
+        };
+        this.#addSymbols(lexerModeSymbols.children, 'lexermode', SymbolKind.Constant);
+
+        const documentOutline = [
+            tokenSymbols,
+            ruleSymbols,
+            walkerSymbols,
+            functionSymbols,
+            lexerModeSymbols
+        ];
+
+        return documentOutline;
+    }
+
+    /**
+     * Adds definitions of a particular type to a DocumentSymbols
+     * array.
+     * @param {DocumentSymbol[]} symbolsArray 
+     * @param {string} definitionType 
+     * @param {SymbolKind} kind
+     */
+    #addSymbols(symbolsArray, definitionType, kind) {
+        if (!this.#globalState) return;
+
+        const definitionsMap = this.#globalState.definitionsMap.get(definitionType);
+        if (!definitionsMap) return;
+
+        definitionsMap.forEach(
+            (definitions) => definitions.forEach((def) => {
+                /** @type {DocumentSymbol} */
+                const symbol = {
+                    name: def.name,
+                    kind,
+                    range: def.range,
+                    selectionRange: def.range,
+                    children: []
+                };
+
+                // The outline shows the summary of the documentation
+                const detail = docCommentSummary(this.#getDocComment(def));
+                if (detail) symbol.detail = detail;
+
+                symbolsArray.push(symbol);
+            })
+        );
+    }
+
+    /**
+     * Returns folding ranges for code blocks, rule definitions with
+     * their code blocks, runs of comment lines and groups of token
+     * definitions.
+     * @returns {FoldingRange[]}
+     */
+    getFoldingRanges() {
+        /** @type {FoldingRange[]} */
+        const ranges = [];
+        if (this.#status !== ParserStatus.Ready) return ranges;
+
+        /**
+         * Adds a folding range for a run of lines, if it spans
+         * more than one line.
+         * @param {Number} startLine
+         * @param {Number} endLine
+         * @param {'comment'|'region'} [kind]
+         */
+        const addRange = (startLine, endLine, kind) => {
+            if (endLine <= startLine) return;
+            ranges.push(kind ? { startLine, endLine, kind } : { startLine, endLine });
+        };
+
+        /** @type {Map<CodeBlockNode, FoldingRange>} */
+        const codeBlockRanges = new Map();
+        let commentRunStart = -1;
+        let tokenRunStart = -1;
+
+        this.#astNodes.forEach((node, line) => {
+            // A code block occupies every line from %{ to %}. If
+            // it is named, or belongs to a %members pragma, the
+            // fold starts from the name or pragma.
+            if (node instanceof CodeBlockNode) {
+                const blockRange = codeBlockRanges.get(node);
+                if (blockRange) {
+                    blockRange.endLine = line;
+                } else {
+                    const previousNode = this.#astNodes[line - 1];
+                    const startLine = previousNode instanceof CodeBlockNameNode ||
+                        previousNode instanceof MembersPragmaNode
+                        ? line - 1
+                        : line;
+                    codeBlockRanges.set(node, { startLine, endLine: line });
+                }
+            }
+
+            if (node instanceof RuleNode) {
+                addRange(line, this.#getLastLineOf(line), 'region');
+            }
+
+            if (node instanceof CommentNode) {
+                if (commentRunStart === -1) commentRunStart = line;
+            } else if (commentRunStart !== -1) {
+                addRange(commentRunStart, line - 1, 'comment');
+                commentRunStart = -1;
+            }
+
+            if (node instanceof TokenNode) {
+                if (tokenRunStart === -1) tokenRunStart = line;
+            } else if (tokenRunStart !== -1) {
+                addRange(tokenRunStart, line - 1, 'region');
+                tokenRunStart = -1;
+            }
+        });
+
+        // Runs that continue to the end of the document
+        const lastLine = this.#astNodes.length - 1;
+        if (commentRunStart !== -1) addRange(commentRunStart, lastLine, 'comment');
+        if (tokenRunStart !== -1) addRange(tokenRunStart, lastLine, 'region');
+
+        codeBlockRanges.forEach(blockRange => addRange(blockRange.startLine, blockRange.endLine, 'region'));
+
+        ranges.sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+        return ranges;
+    }
+
+    /**
+     * Gets all semantic tokens.
+     * @returns {SemanticToken[]}
+     */
+    getSemanticTokens() {
+        /** @type {SemanticToken[]} */
+        const sTokens = [];
+        if (this.#status !== ParserStatus.Ready) return sTokens;
+
+        this.#astNodes.forEach((node, line) => {
+            const tokArr = node?.getSemanticTokens();
+            if (tokArr && tokArr.length > 0) {
+                sTokens.push(...tokArr);
+            }
+
+            // Comments of a node spanning several lines are
+            // added with the line they are on.
+            node?.comments.forEach((comment) => {
+                if (comment.range.start.line !== line) return;
+
+                sTokens.push({
+                    range: comment.range,
+                    tokenType: SemanticTokenType.Comment,
+                    tokenModifiers: []
+                });
+            });
+        });
+
+        // CRITICAL: Sort tokens by position (line, then character)
+        // This is required for LSP delta encoding in the language server.
+        // Without sorting, out-of-order tokens cause incorrect delta values,
+        // leading to wrong syntax coloring.
+        sTokens.sort((a, b) => {
+            if (a.range.start.line !== b.range.start.line) {
+                return a.range.start.line - b.range.start.line;
+            }
+            return a.range.start.character - b.range.start.character;
+        });
+
+        return sTokens;
+    }
+
+    /**
+     * Internal method for testing purposes.
+     * Provides access to internal state.
+     * @returns {{definitionsMap: Map<string, Map<string, YantraDefinition[]>>, globalState: GlobalState|undefined}}
+     */
+    _getInternalState() {
+        return {
+            definitionsMap: this.#definitionsMap,
+            globalState: this.#globalState
+        };
+    }
+
+    /**
+     * Parses the input as a Yantra document. If the parser has
+     * parsed a document before, the results for lines which have
+     * not changed are reused where possible. The results are the
+     * same as those of parsing the whole document. Call clear()
+     * first to parse the whole document anyway.
+     * @param {string} inputText 
+     * @returns {void}
+     */
+    parse(inputText) {
+        const previousParse = this.#getPreviousParse();
+
+        this.#status = ParserStatus.Parsing;
+        this.clear();
+        //this.#document = inputText;
+        const lines = inputText.split(/\r?\n/);
+        this.#lines = lines;
+        this.#eol = inputText.includes('\r\n') ? '\r\n' : '\n';
+        this.#astNodes = new Array(lines.length);
+        this.#parseLines(lines, previousParse);
+        this.#status = ParserStatus.Ready;
+    }
+
+    /**
+     * Returns the results of the last parse, if they can be
+     * reused by the next one.
+     * @returns {PreviousParse|undefined}
+     */
+    #getPreviousParse() {
+        if (this.#status !== ParserStatus.Ready || !this.#globalState) return undefined;
+        // A different error threshold may stop parsing elsewhere
+        if (this.#parsedErrorThreshold !== this.#errorThreshold) return undefined;
+
+        return {
+            lines: this.#lines,
+            astNodes: this.#astNodes,
+            errors: this.#errors,
+            definitionLog: this.#globalState.definitionLog,
+            checkpoints: this.#checkpoints,
+            finalCheckpoint: this.#finalCheckpoint
+        };
+    }
+
+    /**
+     * The engine of parsing logic.
+     * @param {string[]} lines 
+     * @param {PreviousParse} [previousParse] - The results of the previous parse, if they can be reused
+     */
+    #parseLines(lines, previousParse) {
+        this.#globalState = new GlobalState(this.#errors, this.#definitionsMap);
+        let state = new ParseState(this.#globalState);
+        this.#parsedErrorThreshold = this.#errorThreshold;
+
+        let startLine = 0;
+        let spliceFromLine = lines.length;
+        if (previousParse) {
+            ({ startLine, spliceFromLine } = this.#resumePreviousParse(state, lines, previousParse));
+        }
+
+        let lastCheckpointLine = startLine > 0 ? startLine : -CHECKPOINT_INTERVAL;
+        /** @type {ParseCheckpoint|undefined} */
+        let pendingCheckpoint;
+        let stoppedEarly = false;
+
+        for (let i = startLine; i < lines.length; i++) {
+            const lineText = lines[i];
+            state.startNewLine(i, lineText);
+
+            if (pendingCheckpoint) {
+                if (this.#isCheckpointUsable(pendingCheckpoint)) {
+                    this.#checkpoints.set(pendingCheckpoint.line, pendingCheckpoint);
+                    lastCheckpointLine = pendingCheckpoint.line;
+                }
+                pendingCheckpoint = undefined;
+            }
+
+            if (state.isCheckpointSafe) {
+                // Once past the changed lines, the rest of the previous
+                // parse can be reused if the state is the same as it was.
+                if (
+                    previousParse &&
+                    i >= spliceFromLine &&
+                    this.#splicePreviousParse(state, previousParse, i)
+                ) {
+                    break;
+                }
+
+                if (i - lastCheckpointLine >= CHECKPOINT_INTERVAL) {
+                    pendingCheckpoint = state.createCheckpoint();
+                }
+            }
+
+            const trimmedLine = lineText.trim();
+
+            // If in a codeblock, only look for %} and pass
+            // everything else as a non-error.
+            if (state.inCodeBlock) {
+                if (trimmedLine === "%}") {
+                    this.#astNodes[i] = this.#parseEndCodeBlock(state);
+                    continue;
+                } else {
+                    state.currentCodeBlock?.appendLine(lineText);
+                    this.#astNodes[i] = state.currentCodeBlock;
+                    continue;
+                }
+            }
+
+            // Comments are kept as trivia of the node on the
+            // line, which is parsed without them.
+            const { code, comments, inBlockComment } = scanComments(lineText, state.inBlockComment);
+            state.inBlockComment = inBlockComment;
+            state.startNewLine(i, code);
+            const trimmedCode = code.trim();
+
+            // A rule definition which has not ended can be
+            // continued on the next lines with more elements.
+            if (state.expectRuleContinuation) {
+                state.expectRuleContinuation = false;
+                state.matchLine(SyntaxPattern.RuleContinuation);
+                if (state.matches) {
+                    this.#astNodes[i] = this.#parseRuleContinuation(state);
+                    this.#addLineComments(this.#astNodes[i], i, code, comments);
+                    continue;
+                }
+            }
+
+            // If a named code block is expected, check for
+            // the name first. This is the only case where
+            // a code block name is valid.
+            if (state.expectNamedCodeBlock) {
+                if (trimmedCode.charAt(0) === '@') {
+                    state.matchLine(SyntaxPattern.CodeBlockName);
+                    if (state.matches) {
+                        this.#astNodes[i] = this.#parseCodeBlockName(state);
+                        this.#addLineComments(this.#astNodes[i], i, code, comments);
+                        continue;
+                    }
+                }
+            }
+
+            // If a code block is expected, and the current line
+            // is not a block begin, that's the error. 
+            if (state.expectCodeBlock) {
+                if (trimmedCode !== "%{") {
+                    state.addError('a code block was expected');
+
+                    if (state.inRuleDef) {
+                        state.addRuleDefCodeBlockExpectedError();
+                    }
+
+                    state.expectCodeBlock = false;
+                    // This is an error line
+                    this.#astNodes[i] = undefined;
+                    continue;
+                }
+            }
+
+            switch (trimmedCode) {
+                case "":
+                    // A line with only comments keeps them as they are
+                    if (comments.length > 0) {
+                        state.startNewLine(i, lineText);
+                        this.#astNodes[i] = this.#parseComment(state);
+                    } else {
+                        this.#astNodes[i] = undefined;
+                    }
+                    break;
+                case "%{":
+                    this.#astNodes[i] = this.#parseBeginCodeBlock(state);
+                    break;
+                case "%}":
+                    this.#astNodes[i] = this.#parseEndCodeBlock(state);
+                    break;
+                default: {
+                    let matched = false;
+                    for (let j = 0; j < this.#linePatterns.length; j++) {
+                        const linePattern = this.#linePatterns[j];
+                        state.matchLine(linePattern.pattern);
+                        if (state.matches) {
+                            this.#astNodes[i] = linePattern.action(state);
+                            matched = true;
+                            break;
+                        }
+                    }
+                    if (!matched) {
+                        state.addError('Syntax Error');
+                        this.#astNodes[i] = undefined;
+                    }
+                    break;
+                }
+            }
+
+            if (trimmedCode !== '') {
+                this.#addLineComments(this.#astNodes[i], i, code, comments);
+            }
+
+            // Stop parsing if too many errors
+            if (state.errorCount > this.#errorThreshold) {
+                state.addError('Too many errors. Parsing will stop');
+                stoppedEarly = true;
+                break;
+            }
+        }
+
+        if (pendingCheckpoint && this.#isCheckpointUsable(pendingCheckpoint)) {
+            this.#checkpoints.set(pendingCheckpoint.line, pendingCheckpoint);
+        }
+        this.#finalCheckpoint = stoppedEarly ? undefined : state.createCheckpoint();
+
+        // Create warnings for pending forward references
+        /** @type {Map<string, DiagnosticCode>} */
+        const undefinedCodes = new Map([
+            ['token', DiagnosticCode.UndefinedToken],
+            ['rule', DiagnosticCode.UndefinedRule],
+            ['lexermode', DiagnosticCode.UndefinedLexerMode],
+            ['codeblock', DiagnosticCode.UndefinedCodeBlock]
+        ]);
+
+        for (let i = 0; i < this.#globalState?.forwardReferences.length; i++) {
+            const forwardRef = this.#globalState.forwardReferences[i];
+            const defs = this.#definitionsMap.get(forwardRef.type);
+
+            // If definition type is not known, ignore it
+            if (!defs) continue;
+
+            if (!defs.has(forwardRef.name)) {
+                this.#globalState.addErrorWithRange(
+                    `The ${forwardRef.type} '${forwardRef.name}' has not been defined`,
+                    ErrorSeverity.Warning,
+                    forwardRef.range,
+                    undefinedCodes.get(forwardRef.type),
+                    { name: forwardRef.name, type: forwardRef.type }
+                );
+            }
+        }
+
+        // Clear forward references
+        this.#globalState.clearForwardReferences();
+
+        // Global checks
+
+        // Check for presence of start symbol
+        const startRuleName = this.#globalState.startRuleName;
+        if (!this.#definitionsMap.get('rule')?.has(startRuleName)) {
+            this.#globalState.addErrorWithRange(
+                `No start symbol: a rule named '${startRuleName}' has not been defined`,
+                ErrorSeverity.Error,
+                {
+                    start: { line: 0, character: 0 },
+                    end: { line: 0, character: 0 }
+                }
+            );
+        }
+
+        this.#checkRuleUsefulness();
+        this.#checkDuplicateAlternatives();
+        this.#checkCodeBlockAliases();
+        this.#checkUnusedTokens();
+        this.#checkPrecedence();
+        this.#checkLexerModes();
+        this.#checkOverlappingTokens();
+
+        // Check for parsing conflicts. This is only meaningful if
+        // there are no errors in the grammar.
+        const hasErrors = this.#globalState.errors.some(
+            error => error.severity === ErrorSeverity.Error
+        );
+        if (!hasErrors) {
+            this.#checkConflicts();
+        }
+    }
+
+    /**
+     * Returns the grammar described by the rule definitions and
+     * precedence pragmas of the current parse. It is built once
+     * per parse.
+     * @returns {Grammar}
+     */
+    #getGrammar() {
+        if (this.#grammar) return this.#grammar;
+
+        const precedencePragmas = /** @type {AssociativityPragmaNode[]} */ (
+            this.#astNodes.filter(node => node instanceof AssociativityPragmaNode)
+        );
+        const ruleDefinitions = /** @type {Map<string, RuleNode[]>} */ (
+            this.#definitionsMap.get('rule')
+        );
+
+        this.#grammar = new Grammar(
+            ruleDefinitions,
+            precedencePragmas,
+            this.#globalState?.startRuleName ?? 'start'
+        );
+        return this.#grammar;
+    }
+
+    /**
+     * Reports rules which cannot be reached from the start rule, and
+     * rules which cannot derive any string of tokens. Editors show
+     * these rules as unnecessary.
+     */
+    #checkRuleUsefulness() {
+        if (!this.#globalState) return;
+
+        const grammar = this.#getGrammar();
+        const hasStartRule = grammar.getProductions(grammar.startRuleName).length > 0;
+        const reachable = grammar.getReachableRules();
+        const productive = grammar.getProductiveRules();
+
+        for (const ruleName of grammar.ruleNames) {
+            const rules = grammar.getProductions(ruleName).map(production => production.rule);
+
+            // Without a start rule, every rule would be unreachable
+            if (hasStartRule && !reachable.has(ruleName)) {
+                rules.forEach(rule => rule && this.#globalState?.addErrorWithRange(
+                    `The rule '${ruleName}' cannot be reached from the start rule '${grammar.startRuleName}'`,
+                    ErrorSeverity.Warning,
+                    rule.range,
+                    DiagnosticCode.UnreachableRule,
+                    { name: ruleName },
+                    [DiagnosticTag.Unnecessary]
+                ));
+            }
+
+            if (!productive.has(ruleName)) {
+                rules.forEach(rule => rule && this.#globalState?.addErrorWithRange(
+                    `The rule '${ruleName}' cannot derive any string of tokens`,
+                    ErrorSeverity.Warning,
+                    rule.range,
+                    DiagnosticCode.NonProductiveRule,
+                    { name: ruleName },
+                    [DiagnosticTag.Unnecessary]
+                ));
+            }
+        }
+    }
+
+    /**
+     * Reports rule definitions with the same elements as an earlier
+     * definition of the same rule. Aliases are ignored, since they
+     * do not change what the definition matches. Such definitions
+     * always cause a reduce/reduce conflict.
+     */
+    #checkDuplicateAlternatives() {
+        if (!this.#globalState) return;
+
+        const ruleDefinitions = /** @type {Map<string, RuleNode[]>} */ (
+            this.#definitionsMap.get('rule')
+        );
+
+        ruleDefinitions.forEach((rules, ruleName) => {
+            /** @type {Map<string, RuleNode>} */
+            const firstRules = new Map();
+
+            rules.forEach((rule) => {
+                const elementNames = rule.elements.map(rdef => rdef.element.lexeme);
+                const key = elementNames.join(' ');
+                const firstRule = firstRules.get(key);
+                if (!firstRule) {
+                    firstRules.set(key, rule);
+                    return;
+                }
+
+                this.#globalState?.addErrorWithRange(
+                    `The rule '${ruleName}' already has the definition '${ruleName} := ${key}' on line ${firstRule.range.start.line + 1}`,
+                    ErrorSeverity.Warning,
+                    rule.range,
+                    DiagnosticCode.DuplicateAlternative,
+                    { name: ruleName },
+                    undefined,
+                    [{
+                        range: firstRule.range,
+                        message: 'The same definition appears first here'
+                    }]
+                );
+            });
+        });
+    }
+
+    /**
+     * Reports walker function calls in code blocks, such as
+     * eval(x), whose argument is not an alias of an element of the
+     * rule definition the code block belongs to. Other uses of names,
+     * such as x.text or return x;, are not checked, since the code
+     * cannot tell them apart from C++ variables and members without
+     * parsing it.
+     */
+    #checkCodeBlockAliases() {
+        if (!this.#globalState) return;
+
+        // Function names are in the format rule::walker::function
+        /** @type {Map<string, Set<string>>} */
+        const walkerFunctions = new Map();
+        this.#definitionsMap.get('function')?.forEach((_, name) => {
+            const [, walkerName, functionName] = name.split('::');
+            let functionNames = walkerFunctions.get(walkerName);
+            if (!functionNames) {
+                functionNames = new Set();
+                walkerFunctions.set(walkerName, functionNames);
+            }
+            functionNames.add(functionName);
+        });
+
+        /** @type {Set<CodeBlockNode>} */
+        const codeBlocks = new Set();
+        this.#astNodes.forEach((node) => {
+            if (node instanceof CodeBlockNode && node.rule) codeBlocks.add(node);
+        });
+
+        codeBlocks.forEach((codeBlock) => {
+            const functionNames = walkerFunctions.get(codeBlock.walkerName);
+            const rule = /** @type {RuleNode} */ (codeBlock.rule);
+            if (!functionNames) return;
+
+            const aliasNames = new Set(codeBlock.getAliasTokens().map(alias => alias.lexeme));
+            const callPattern = new RegExp(
+                `(?<![\\w.>:])(?:${Array.from(functionNames).join('|')})\\s*\\(\\s*([A-Za-z_]\\w*)\\s*\\)`,
+                'dg'
+            );
+
+            codeBlock.codeLines.forEach((lineText, index) => {
+                for (const match of lineText.matchAll(callPattern)) {
+                    const argument = match[1];
+                    if (aliasNames.has(argument)) continue;
+
+                    const [start, end] = /** @type {[number, number]} */ (match.indices?.[1]);
+                    const line = codeBlock.contentStartLine + index;
+                    this.#globalState?.addErrorWithRange(
+                        `'${argument}' is not an alias in the rule definition '${rule.getFormattedLines()[0]}'`,
+                        ErrorSeverity.Warning,
+                        {
+                            start: { line, character: start },
+                            end: { line, character: end }
+                        },
+                        DiagnosticCode.UnknownAlias,
+                        { name: argument }
+                    );
+                }
+            });
+        });
+    }
+
+    /**
+     * Reports tokens which are not used by any rule definition,
+     * if enabled by a %check_unused_tokens pragma. Skipped
+     * tokens and tokens which switch lexer modes are used by the
+     * lexer, and are not reported.
+     */
+    #checkUnusedTokens() {
+        if (!this.#globalState) return;
+
+        // The last %check_unused_tokens pragma applies
+        const checkPragmas = this.#astNodes.filter(
+            node => node instanceof CheckUnusedTokensPragmaNode
+        );
+        const checkPragma = /** @type {CheckUnusedTokensPragmaNode|undefined} */ (
+            checkPragmas[checkPragmas.length - 1]
+        );
+        if (!checkPragma?.enabled) return;
+
+        const usedTokens = this.#getGrammar().tokens;
+        const tokenDefinitions = /** @type {Map<string, TokenNode[]>} */ (
+            this.#definitionsMap.get('token')
+        );
+
+        tokenDefinitions.forEach((tokens, tokenName) => {
+            if (usedTokens.has(tokenName)) return;
+
+            tokens.forEach((token) => {
+                if (token.isNegated || token.lexerMode) return;
+
+                this.#globalState?.addErrorWithRange(
+                    `The token '${tokenName}' is not used by any rule`,
+                    ErrorSeverity.Warning,
+                    token.range,
+                    DiagnosticCode.UnusedToken,
+                    { name: tokenName },
+                    [DiagnosticTag.Unnecessary]
+                );
+            });
+        });
+    }
+
+    /**
+     * Reports tokens listed by more than one precedence pragma,
+     * tokens with a precedence which no rule uses, and binary
+     * operator alternatives such as e := e OP e whose operator has
+     * no precedence. Such alternatives are ambiguous, and almost
+     * always cause conflicts.
+     */
+    #checkPrecedence() {
+        if (!this.#globalState) return;
+
+        const grammar = this.#getGrammar();
+        const precedencePragmas = /** @type {AssociativityPragmaNode[]} */ (
+            this.#astNodes.filter(node => node instanceof AssociativityPragmaNode)
+        );
+
+        /** @type {Map<string, AssociativityPragmaNode>} */
+        const firstPragmas = new Map();
+        for (const pragma of precedencePragmas) {
+            for (const tokenNameToken of pragma.tokenNameTokens) {
+                const tokenName = tokenNameToken.lexeme;
+                const firstPragma = firstPragmas.get(tokenName);
+
+                if (firstPragma && firstPragma !== pragma) {
+                    this.#globalState.addErrorWithRange(
+                        `The token '${tokenName}' already has a precedence, declared by %${firstPragma.associativity} on line ${firstPragma.range.start.line + 1}`,
+                        ErrorSeverity.Warning,
+                        tokenNameToken.range,
+                        DiagnosticCode.DuplicatePrecedence,
+                        { name: tokenName }
+                    );
+                } else if (!firstPragma) {
+                    firstPragmas.set(tokenName, pragma);
+                }
+
+                if (!grammar.tokens.has(tokenName)) {
+                    this.#globalState.addErrorWithRange(
+                        `The token '${tokenName}' has a precedence, but is not used by any rule`,
+                        ErrorSeverity.Warning,
+                        tokenNameToken.range,
+                        DiagnosticCode.UnusedPrecedence,
+                        { name: tokenName },
+                        [DiagnosticTag.Unnecessary]
+                    );
+                }
+            }
+        }
+
+        for (const production of grammar.productions) {
+            const [left, operator, right] = production.rhs;
+            const isBinaryOperation = production.rhs.length === 3 &&
+                left === production.lhs &&
+                right === production.lhs &&
+                grammar.isToken(operator);
+            if (!isBinaryOperation || !production.rule) continue;
+            if (grammar.getPrecedence(operator)) continue;
+
+            this.#globalState.addErrorWithRange(
+                `The operator '${operator}' in '${production.lhs} := ${production.rhs.join(' ')}' has no precedence. Declare it with %left, %right or %token to avoid conflicts`,
+                ErrorSeverity.Warning,
+                production.rule.range,
+                DiagnosticCode.MissingPrecedence,
+                { name: operator }
+            );
+        }
+    }
+
+    /**
+     * Returns the lexer modes of the current parse. They are found
+     * once per parse.
+     * @returns {LexerModeGraph}
+     */
+    #getLexerModeGraph() {
+        if (this.#lexerModeGraph) return this.#lexerModeGraph;
+
+        /** @type {Set<TokenNode>} */
+        const definedTokens = new Set();
+        this.#definitionsMap.get('token')?.forEach(
+            tokens => tokens.forEach(token => definedTokens.add(/** @type {TokenNode} */ (token)))
+        );
+
+        this.#lexerModeGraph = new LexerModeGraph(this.#astNodes, definedTokens);
+        return this.#lexerModeGraph;
+    }
+
+    /**
+     * Reports lexer modes which are never entered, modes which cannot
+     * return to the mode which entered them, modes without tokens,
+     * and %lexer_include pragmas which include their own mode.
+     */
+    #checkLexerModes() {
+        if (!this.#globalState) return;
+
+        const graph = this.#getLexerModeGraph();
+        const enteredModes = graph.getEnteredModes();
+
+        for (const modeName of graph.modeNames) {
+            const definition = graph.getDefinition(modeName);
+            if (modeName === DEFAULT_LEXER_MODE || !definition) continue;
+
+            if (graph.getTokens(modeName).length === 0) {
+                this.#globalState.addErrorWithRange(
+                    `The lexer mode '${modeName}' has no tokens`,
+                    ErrorSeverity.Warning,
+                    definition.range,
+                    DiagnosticCode.EmptyLexerMode,
+                    { name: modeName }
+                );
+                continue;
+            }
+
+            // Modes which are only included need not be entered
+            if (!enteredModes.has(modeName)) {
+                if (graph.isIncluded(modeName)) continue;
+
+                this.#globalState.addErrorWithRange(
+                    `The lexer mode '${modeName}' is never entered: no token which the lexer can match has the suffix [${modeName}]`,
+                    ErrorSeverity.Warning,
+                    definition.range,
+                    DiagnosticCode.UnenteredLexerMode,
+                    { name: modeName },
+                    [DiagnosticTag.Unnecessary]
+                );
+                continue;
+            }
+
+            if (!graph.canReturn(modeName)) {
+                this.#globalState.addErrorWithRange(
+                    `The lexer mode '${modeName}' cannot return to the default mode: none of its tokens has the suffix [^]`,
+                    ErrorSeverity.Warning,
+                    definition.range,
+                    DiagnosticCode.NonReturningLexerMode,
+                    { name: modeName }
+                );
+            }
+        }
+
+        for (const cycle of graph.getIncludeCycles()) {
+            this.#globalState.addErrorWithRange(
+                `Circular %lexer_include: ${cycle.modeNames.join(' includes ')}`,
+                ErrorSeverity.Warning,
+                cycle.include.range,
+                DiagnosticCode.CircularLexerInclude,
+                { name: cycle.include.modeName }
+            );
+        }
+    }
+
+    /**
+     * Compares the patterns of the tokens in each lexer mode. The
+     * lexer matches the longest text it can, and if several tokens
+     * match text of the same length, the one defined first wins. A
+     * token which matches only strings that an earlier token also
+     * matches can never be matched, and is reported as a warning.
+     * Other overlaps are reported as information on the later token.
+     */
+    #checkOverlappingTokens() {
+        if (!this.#globalState) return;
+
+        /** @type {Map<string, TokenAutomaton|undefined>} */
+        const automata = new Map();
+        /** @type {Map<string, LanguageComparison>} */
+        const comparisons = new Map();
+
+        /**
+         * @param {string} pattern
+         * @returns {TokenAutomaton|undefined}
+         */
+        const getAutomaton = (pattern) => {
+            if (!automata.has(pattern)) {
+                automata.set(
+                    pattern,
+                    this.#tokenAutomata.has(pattern)
+                        ? this.#tokenAutomata.get(pattern)
+                        : TokenAutomaton.fromPattern(pattern)
+                );
+            }
+            return automata.get(pattern);
         };
-        this.#addSymbols(walkerSymbols.children, 'walker', SymbolKind.Class);
 
-        const functionSymbols = {
-            name: 'Functions',
-            kind: SymbolKind.Namespace,
-            range: documentRange,
-            selectionRange: emptyRange,
-            children: []
+        /**
+         * @param {TokenNode} earlier
+         * @param {TokenNode} later
+         * @returns {LanguageComparison|undefined}
+         */
+        const compare = (earlier, later) => {
+            const key = `${earlier.value}\n${later.value}`;
+            let comparison = comparisons.get(key) ?? this.#tokenComparisons.get(key);
+            if (!comparison) {
+                const earlierAutomaton = getAutomaton(earlier.value.slice(1, -1));
+                const laterAutomaton = getAutomaton(later.value.slice(1, -1));
+                if (!earlierAutomaton || !laterAutomaton) return undefined;
+
+                comparison = earlierAutomaton.compare(laterAutomaton);
+            }
+            comparisons.set(key, comparison);
+            return comparison;
         };
-        this.#addSymbols(functionSymbols.children, 'function', SymbolKind.Method);
 
-        const lexerModeSymbols = {
-            name: 'Lexer Modes',
-            kind: SymbolKind.Namespace,
-            range: documentRange,
-            selectionRange: emptyRange,
-            children: []
-        };
-        this.#addSymbols(lexerModeSymbols.children, 'lexermode', SymbolKind.Constant);
+        /** @type {Set<TokenNode>} */
+        const reportedTokens = new Set();
+
+        const graph = this.#getLexerModeGraph();
+        graph.modeNames.forEach((modeName) => {
+            const tokens = graph.getTokens(modeName);
+            tokens.forEach((later, laterIndex) => {
+                // A token defined in several modes is reported once
+                if (reportedTokens.has(later)) return;
+
+                /** @type {string[]} */
+                const overlaps = [];
+                for (let i = 0; i < laterIndex; i++) {
+                    const earlier = tokens[i];
+                    const comparison = compare(earlier, later);
+                    if (!comparison?.example) continue;
+
+                    const example = JSON.stringify(comparison.example);
+                    if (comparison.includesOther) {
+                        reportedTokens.add(later);
+                        this.#globalState?.addErrorWithRange(
+                            `The token '${later.name}' can never be matched: every string it matches, such as ${example}, is also matched by '${earlier.name}', which is defined before it and takes priority`,
+                            ErrorSeverity.Warning,
+                            later.range,
+                            DiagnosticCode.ShadowedToken,
+                            { name: later.name }
+                        );
+                        return;
+                    }
 
-        const documentOutline = [
-            tokenSymbols,
-            ruleSymbols,
-            walkerSymbols,
-            functionSymbols,
-            lexerModeSymbols
-        ];
+                    // Keywords defined before a token like an identifier,
+                    // which matches all of them, are the intended use of
+                    // priority and are not reported
+                    if (compare(later, earlier)?.includesOther) continue;
 
-        return documentOutline;
+                    overlaps.push(`'${earlier.name}' (both match ${example})`);
+                }
+
+                if (overlaps.length > 0) {
+                    reportedTokens.add(later);
+                    this.#globalState?.addErrorWithRange(
+                        `The token '${later.name}' overlaps with tokens defined before it, which take priority when both match the same text: ${overlaps.join(', ')}`,
+                        ErrorSeverity.Information,
+                        later.range,
+                        DiagnosticCode.OverlappingTokens,
+                        { name: later.name }
+                    );
+                }
+            });
+        });
+
+        // Keep only what this parse used
+        this.#tokenAutomata = automata;
+        this.#tokenComparisons = comparisons;
     }
 
     /**
-     * Adds definitions of a particular type to a DocumentSymbols
-     * array.
-     * @param {DocumentSymbol[]} symbolsArray 
-     * @param {string} definitionType 
-     * @param {SymbolKind} kind
+     * Builds the LALR(1) parsing table of the grammar, and reports
+     * conflicts which are not resolved by precedence as warnings on
+     * the rule definitions involved.
      */
-    #addSymbols(symbolsArray, definitionType, kind) {
+    #checkConflicts() {
         if (!this.#globalState) return;
 
-        const definitionsMap = this.#globalState.definitionsMap.get(definitionType);
-        if (!definitionsMap) return;
+        const grammar = this.#getGrammar();
+        const signature = grammar.signature;
+        if (this.#conflicts?.signature !== signature) {
+            const conflicts = new LALRAutomaton(grammar).getConflicts();
+            this.#conflicts = {
+                signature,
+                reports: this.#reportConflicts(conflicts)
+            };
+        }
 
-        definitionsMap.forEach(
-            (definitions) => definitions.forEach((def) => {
-                symbolsArray.push({
-                    name: def.name,
-                    kind,
-                    range: def.range,
-                    selectionRange: def.range,
-                    children: []
-                });
-            })
-        );
+        for (const report of this.#conflicts.reports) {
+            for (const productionIndex of report.productionIndices) {
+                const rule = grammar.productions[productionIndex].rule;
+                if (!rule) continue;
+
+                this.#globalState.addErrorWithRange(
+                    report.message,
+                    ErrorSeverity.Warning,
+                    rule.range,
+                    DiagnosticCode.Conflict
+                );
+            }
+        }
     }
 
     /**
-     * Gets all semantic tokens.
-     * @returns {SemanticToken[]}
+     * Groups conflicts between the same items on different tokens,
+     * and describes each group.
+     * @param {Conflict[]} conflicts
+     * @returns {ConflictReport[]}
      */
-    getSemanticTokens() {
-        /** @type {SemanticToken[]} */
-        const sTokens = [];
-        if (this.#status !== ParserStatus.Ready) return sTokens;
+    #reportConflicts(conflicts) {
+        /**
+         * @param {Item} item
+         * @returns {string}
+         */
+        const formatItem = (item) => {
+            const symbols = [...item.production.rhs];
+            symbols.splice(item.dot, 0, '•');
+            return `${item.production.lhs} := ${symbols.join(' ')}`;
+        };
 
-        this.#astNodes.forEach(node => {
-            const tokArr = node?.getSemanticTokens();
-            if (tokArr && tokArr.length > 0) {
-                sTokens.push(...tokArr);
+        /** @type {Map<string, {tokens: string[], lines: string[], productionIndices: Set<Number>}>} */
+        const groups = new Map();
+        conflicts.forEach((conflict) => {
+            const lines = [
+                ...conflict.shiftItems.map(item => `shift ${formatItem(item)}`),
+                // The augmented start production accepts the input
+                ...conflict.reductions.map(production => production.index < 0
+                    ? 'accept'
+                    : `reduce ${formatItem({ production, dot: production.rhs.length })}`
+                )
+            ];
+            const key = `${conflict.kind}\n${lines.join('\n')}`;
+
+            let group = groups.get(key);
+            if (!group) {
+                group = { tokens: [], lines, productionIndices: new Set() };
+                groups.set(key, group);
             }
-        });
 
-        // CRITICAL: Sort tokens by position (line, then character)
-        // This is required for LSP delta encoding in the language server.
-        // Without sorting, out-of-order tokens cause incorrect delta values,
-        // leading to wrong syntax coloring.
-        sTokens.sort((a, b) => {
-            if (a.range.start.line !== b.range.start.line) {
-                return a.range.start.line - b.range.start.line;
+            const token = conflict.token === END_OF_INPUT ? 'end of input' : conflict.token;
+            if (!group.tokens.includes(token)) {
+                group.tokens.push(token);
             }
-            return a.range.start.character - b.range.start.character;
-        });
 
-        return sTokens;
-    }
+            conflict.shiftItems.forEach(item => group.productionIndices.add(item.production.index));
+            conflict.reductions.forEach(production => group.productionIndices.add(production.index));
+        });
 
-    /**
-     * Internal method for testing purposes.
-     * Provides access to internal state.
-     * @returns {{definitionsMap: Map<string, Map<string, YantraDefinition[]>>, globalState: GlobalState|undefined}}
-     */
-    _getInternalState() {
-        return {
-            definitionsMap: this.#definitionsMap,
-            globalState: this.#globalState
-        };
-    }
+        /** @type {ConflictReport[]} */
+        const reports = [];
+        groups.forEach((group, key) => {
+            const kind = key.startsWith('shift') ? 'Shift/reduce' : 'Reduce/reduce';
+            reports.push({
+                message: `${kind} conflict on ${group.tokens.join(', ')} between:\n` +
+                    group.lines.map(line => `  ${line}`).join('\n'),
+                // The augmented start production has index -1
+                productionIndices: Array.from(group.productionIndices).filter(index => index >= 0)
+            });
+        });
 
-    /**
-     * Parses the input as a Yantra document.
-     * @param {string} inputText 
-     * @returns {void}
-     */
-    parse(inputText) {
-        this.#status = ParserStatus.Parsing;
-        this.clear();
-        //this.#document = inputText;
-        const lines = inputText.split(/\r?\n/);
-        this.#astNodes = new Array(lines.length);
-        this.#parseLines(lines);
-        this.#status = ParserStatus.Ready;
+        return reports;
     }
 
     /**
-     * The engine of parsing logic.
+     * Restores the parser state from the last checkpoint of the
+     * previous parse before the first changed line, and reuses the
+     * nodes of the lines before it. Returns the line from which to
+     * continue parsing, and the line after which the rest of the
+     * previous parse may be spliced in.
+     * @param {ParseState} state 
      * @param {string[]} lines 
+     * @param {PreviousParse} previousParse 
+     * @returns {{startLine: Number, spliceFromLine: Number}}
      */
-    #parseLines(lines) {
-        this.#globalState = new GlobalState(this.#errors, this.#definitionsMap);
-        let state = new ParseState(this.#globalState);
-
-        for (let i = 0; i < lines.length; i++) {
-            const lineText = lines[i];
-            state.startNewLine(i, lineText);
+    #resumePreviousParse(state, lines, previousParse) {
+        const previousLines = previousParse.lines;
+        const commonLength = Math.min(lines.length, previousLines.length);
+
+        let firstChangedLine = 0;
+        while (
+            firstChangedLine < commonLength &&
+            lines[firstChangedLine] === previousLines[firstChangedLine]
+        ) {
+            firstChangedLine++;
+        }
 
-            const trimmedLine = lineText.trim();
+        let unchangedAtEnd = 0;
+        while (
+            unchangedAtEnd < commonLength - firstChangedLine &&
+            lines[lines.length - 1 - unchangedAtEnd] === previousLines[previousLines.length - 1 - unchangedAtEnd]
+        ) {
+            unchangedAtEnd++;
+        }
 
-            // If in a codeblock, only look for %} and pass
-            // everything else as a non-error.
-            if (state.inCodeBlock) {
-                if (trimmedLine === "%}") {
-                    this.#astNodes[i] = this.#parseEndCodeBlock(state);
-                    continue;
-                } else {
-                    state.currentCodeBlock?.appendLine(lineText);
-                    this.#astNodes[i] = state.currentCodeBlock;
-                    continue;
-                }
+        // Previous nodes have ranges on their original lines, so they
+        // can only be spliced in if the line count has not changed.
+        const spliceFromLine = lines.length === previousLines.length
+            ? lines.length - unchangedAtEnd
+            : lines.length;
+
+        /** @type {ParseCheckpoint|undefined} */
+        let resumeCheckpoint;
+        previousParse.checkpoints.forEach((checkpoint, line) => {
+            if (line <= firstChangedLine && (!resumeCheckpoint || line > resumeCheckpoint.line)) {
+                resumeCheckpoint = checkpoint;
             }
+        });
 
-            // If a named code block is expected, check for
-            // the name first. This is the only case where
-            // a code block name is valid.
-            if (state.expectNamedCodeBlock) {
-                if (trimmedLine.charAt(0) === '@') {
-                    state.matchLine(SyntaxPattern.CodeBlockName);
-                    if (state.matches) {
-                        this.#astNodes[i] = this.#parseCodeBlockName(state);
-                        continue;
-                    }
-                }
-            }
+        if (!resumeCheckpoint) return { startLine: 0, spliceFromLine };
 
-            // If a code block is expected, and the current line
-            // is not a block begin, that's the error. 
-            if (state.expectCodeBlock) {
-                if (trimmedLine !== "%{") {
-                    state.addError('a code block was expected');
+        const startLine = resumeCheckpoint.line;
+        for (let i = 0; i < startLine; i++) {
+            this.#astNodes[i] = previousParse.astNodes[i];
+        }
+        previousParse.checkpoints.forEach((checkpoint, line) => {
+            if (line <= startLine) this.#checkpoints.set(line, checkpoint);
+        });
 
-                    if (state.inRuleDef) {
-                        state.addRuleDefCodeBlockExpectedError();
-                    }
+        this.#globalState?.restoreCheckpoint(
+            resumeCheckpoint.global,
+            previousParse.errors,
+            previousParse.definitionLog
+        );
+        state.restoreCheckpoint(resumeCheckpoint);
 
-                    state.expectCodeBlock = false;
-                    // This is an error line
-                    this.#astNodes[i] = undefined;
-                    continue;
-                }
-            }
+        return { startLine, spliceFromLine };
+    }
 
-            switch (trimmedLine) {
-                case "":
-                    this.#astNodes[i] = undefined;
-                    break;
-                case "%{":
-                    this.#astNodes[i] = this.#parseBeginCodeBlock(state);
-                    break;
-                case "%}":
-                    this.#astNodes[i] = this.#parseEndCodeBlock(state);
-                    break;
-                default: {
-                    let matched = false;
-                    for (let j = 0; j < this.#linePatterns.length; j++) {
-                        const linePattern = this.#linePatterns[j];
-                        state.matchLine(linePattern.pattern);
-                        if (state.matches) {
-                            this.#astNodes[i] = linePattern.action(state);
-                            matched = true;
-                            break;
-                        }
-                    }
-                    if (!matched) {
-                        state.addError('Syntax Error');
-                        this.#astNodes[i] = undefined;
-                    }
-                    break;
-                }
-            }
+    /**
+     * Returns true if a checkpoint recorded before a line can be
+     * used by a later parse, once that line has been parsed. If a
+     * rule definition was open at the checkpoint, the line must
+     * have ended it, so that a later parse which resumes the
+     * previous parse from there can end its own rule definition
+     * in the same way.
+     * @param {ParseCheckpoint} checkpoint 
+     * @returns {boolean}
+     */
+    #isCheckpointUsable(checkpoint) {
+        if (!checkpoint.currentRule) return true;
 
-            // Stop parsing if too many errors
-            if (state.errorCount > this.#errorThreshold) {
-                state.addError('Too many errors. Parsing will stop');
-                break;
-            }
-        }
+        const node = this.#astNodes[checkpoint.line];
+        return node instanceof RuleNode ||
+            node instanceof TokenNode ||
+            node instanceof PragmaNode;
+    }
 
-        // Create warnings for pending forward references
-        for (let i = 0; i < this.#globalState?.forwardReferences.length; i++) {
-            const forwardRef = this.#globalState.forwardReferences[i];
-            const defs = this.#definitionsMap.get(forwardRef.type);
+    /**
+     * If the parser state before the specified line is the same as
+     * it was in the previous parse, reuses the results of the 
+     * previous parse from that line to the end, and returns true.
+     * Otherwise, returns false.
+     * @param {ParseState} state 
+     * @param {PreviousParse} previousParse 
+     * @param {Number} line 
+     * @returns {boolean}
+     */
+    #splicePreviousParse(state, previousParse, line) {
+        const globalState = this.#globalState;
+        const checkpoint = previousParse.checkpoints.get(line);
+        const finalCheckpoint = previousParse.finalCheckpoint;
+        if (!globalState || !checkpoint || !finalCheckpoint) return false;
+
+        // The remaining lines must not take the error count over
+        // the threshold.
+        const errorCountChange = state.errorCount - checkpoint.errorCount;
+        if (finalCheckpoint.errorCount + errorCountChange > this.#errorThreshold) {
+            return false;
+        }
 
-            // If definition type is not known, ignore it
-            if (!defs) continue;
+        if (
+            !state.matchesCheckpoint(checkpoint) ||
+            !globalState.matchesCheckpoint(checkpoint.global, previousParse.definitionLog)
+        ) {
+            return false;
+        }
 
-            if (!defs.has(forwardRef.name)) {
-                this.#globalState.addErrorWithRange(
-                    `The ${forwardRef.type} '${forwardRef.name}' has not been defined`,
-                    ErrorSeverity.Warning,
-                    forwardRef.range
-                );
-            }
+        // Any open rule definition was ended by this line in the
+        // previous parse (see #isCheckpointUsable).
+        if (state.inRuleDef) {
+            state.resetRuleDef();
         }
 
-        // Clear forward references
-        this.#globalState.clearForwardReferences();
+        const errorsChange = globalState.errors.length - checkpoint.global.errorsLength;
 
-        // Global checks
+        for (let i = line; i < previousParse.astNodes.length; i++) {
+            this.#astNodes[i] = previousParse.astNodes[i];
+        }
 
-        // Check for presence of start symbol
-        const startRuleName = this.#globalState.startRuleName;
-        if (!this.#definitionsMap.get('rule')?.has(startRuleName)) {
-            this.#globalState.addErrorWithRange(
-                `No start symbol: a rule named '${startRuleName}' has not been defined`,
-                ErrorSeverity.Error,
-                {
-                    start: { line: 0, character: 0 },
-                    end: { line: 0, character: 0 }
+        previousParse.checkpoints.forEach((previousCheckpoint, checkpointLine) => {
+            if (checkpointLine < line) return;
+
+            this.#checkpoints.set(checkpointLine, {
+                ...previousCheckpoint,
+                errorCount: previousCheckpoint.errorCount + errorCountChange,
+                global: {
+                    ...previousCheckpoint.global,
+                    errorsLength: previousCheckpoint.global.errorsLength + errorsChange
                 }
-            );
-        }
+            });
+        });
+
+        globalState.restoreCheckpoint(
+            finalCheckpoint.global,
+            previousParse.errors,
+            previousParse.definitionLog,
+            checkpoint.global
+        );
+        state.restoreCheckpoint({
+            ...finalCheckpoint,
+            errorCount: finalCheckpoint.errorCount + errorCountChange
+        });
+
+        return true;
     }
 
     /**
@@ -796,6 +3072,29 @@ class YantraParser {
         return currentCodeBlock.end(state);
     }
 
+    /**
+     * Keeps the comments of a line with the node parsed from it.
+     * @param {ASTNode|undefined} node
+     * @param {Number} line
+     * @param {string} code - The line without its comments
+     * @param {LineComment[]} comments
+     */
+    #addLineComments(node, line, code, comments) {
+        if (!node || comments.length === 0) return;
+
+        const codeStart = code.search(/\S/);
+        const codeEnd = code.trimEnd().length;
+        node.addComments(comments.map(comment => ({
+            range: {
+                start: { line, character: comment.start },
+                end: { line, character: comment.end }
+            },
+            text: comment.text,
+            leading: comment.end <= codeStart,
+            inline: comment.start > codeStart && comment.end < codeEnd
+        })));
+    }
+
     /**
      * @type {LineParser}
      */
@@ -856,6 +3155,9 @@ class YantraParser {
             case 'start':
                 pragmaNode = new StartPragmaNode(state);
                 break;
+            case 'check_unused_tokens':
+                pragmaNode = new CheckUnusedTokensPragmaNode(state);
+                break;
             case 'namespace':
             case 'pch_header':
             case 'std_header':
@@ -863,7 +3165,6 @@ class YantraParser {
             case 'src_header':
             case 'class_member':
             case 'encoding':
-            case 'check_unused_tokens':
             case 'auto_resolve':
             case 'warn_resolve':
             case 'walker_output':
@@ -919,6 +3220,16 @@ class YantraParser {
         return node;
     }
 
+    /**
+     * 
+     * @type {LineParser}
+     */
+    #parseRuleContinuation(state) {
+        const node = new RuleContinuationNode(state, state.currentRule);
+        node.parse(state);
+        return node;
+    }
+
     /**
      * 
      * @type {LineParser}
@@ -964,20 +3275,34 @@ class YantraParser {
      * Filters available definitions by prefix, then converts
      * to an array of CompletionItems of the specified kind.
      * The deftype will be returned in the detail property.
+     * If a line is specified, the items are ranked by the distance
+     * of their nearest definition from that line.
      * @param {string} definitionType - The type of definition
      * @param {string} prefix - A prefix to filter them
      * @param {CompletionItemKind} kind - Item kind
+     * @param {number} [line] - The line of the cursor
      * @returns {CompletionItem[]}
      */
-    #definitionsToCompletions(definitionType, prefix, kind) {
+    #definitionsToCompletions(definitionType, prefix, kind, line) {
         if (definitionType !== 'function') {
             const defs = this.#definitionsMap.get(definitionType);
             if (!defs) return [];
 
             const names = Array.from(defs.keys());
-            return this.#namesToCompletions(
+            const completions = this.#namesToCompletions(
                 names, prefix, kind, definitionType
             );
+            this.#addCompletionDocumentation(completions, defs);
+            if (line === undefined) return completions;
+
+            completions.forEach((completion) => {
+                const definitions = defs.get(completion.label) ?? [];
+                const distance = Math.min(...definitions.map(
+                    def => Math.abs(def.range.start.line - line)
+                ));
+                completion.sortText = `${String(distance).padStart(6, '0')}_${completion.label}`;
+            });
+            return completions;
         }
 
         const defs = this.#definitionsMap.get('function');
@@ -999,8 +3324,25 @@ class YantraParser {
                 };
             });
 
+        // @ts-ignore
+        this.#addCompletionDocumentation(funcNames, defs);
         return funcNames;
     }
+
+    /**
+     * Adds the documentation of each completed definition to
+     * its completion item.
+     * @param {CompletionItem[]} completions
+     * @param {Map<string, YantraDefinition[]>} defs - Definitions by name
+     */
+    #addCompletionDocumentation(completions, defs) {
+        completions.forEach((completion) => {
+            const documentation = this.#getDocumentation(defs.get(completion.label) ?? []);
+            if (documentation) {
+                completion.documentation = { kind: 'markdown', value: documentation };
+            }
+        });
+    }
 }
 
 module.exports = {
@@ -5,12 +5,18 @@ const {
   Location,
   Range,
   URI,
-  TextDocumentSyncKind
+  TextDocumentSyncKind,
+  CodeActionKind,
+  FileChangeType,
+  ResponseError,
+  ErrorCodes
 } = require('vscode-languageserver/node');
 
 const { TextDocument } = require('vscode-languageserver-textdocument');
 
 const { ParserStatus, YantraParser } = require('./parser/yantraparser');
+const { WorkspaceIndex } = require('./workspaceindex');
+const { getLineEdits } = require('./textedits');
 
 const connection = createConnection(ProposedFeatures.all);
 const documents = new TextDocuments(TextDocument);
@@ -22,16 +28,52 @@ const documents = new TextDocuments(TextDocument);
  * @type {Map<URI, YantraParser>} */
 const parserCache = new Map();
 
+/**
+ * Version of each document when it was last parsed
+ * @type {Map<URI, Number>} */
+const parsedVersions = new Map();
+
+/**
+ * Symbols of all grammars in the workspace folders
+ * @type {WorkspaceIndex} */
+const workspaceIndex = new WorkspaceIndex();
+
+/**
+ * Workspace folders to be indexed once the server is initialized
+ * @type {string[]} */
+let workspaceFolderUris = [];
+
+/**
+ * Whether the client supports workspace folders, and so can report
+ * changes to them
+ * @type {boolean} */
+let hasWorkspaceFolderCapability = false;
+
 /**
  * @typedef {object} ServerConfig
  * @property {Number} errThreshold - Number of errors allowed before the Yantra parser stops
+ * @property {FormatSettings} format - Formatter settings, other than those sent with each request
+ */
+
+/**
+ * @typedef {object} FormatSettings
+ * @property {boolean} alignTokenDefinitions - Align := across consecutive token definitions
+ * @property {boolean} alignRuleAssignments - Align := across the alternatives of a rule
+ * @property {Number} maxBlankLines - Maximum number of consecutive blank lines, or -1 for no limit
+ * @property {Number} maxLineWidth - Width beyond which rule definitions are wrapped, or 0 to never wrap them
  */
 
 /** Server configuration 
  * @type {ServerConfig}
  */
 const serverConfig = {
-  errThreshold: 25
+  errThreshold: 25,
+  format: {
+    alignTokenDefinitions: true,
+    alignRuleAssignments: false,
+    maxBlankLines: -1,
+    maxLineWidth: 0
+  }
 };
 
 // Utilities
@@ -55,30 +97,89 @@ function debounce(fn, delay) {
 // Handlers
 connection.onInitialize((params) => {
   serverConfig.errThreshold = params.initializationOptions?.errorThreshold ?? 25;
+  workspaceIndex.errorThreshold = serverConfig.errThreshold;
+  serverConfig.format = { ...serverConfig.format, ...params.initializationOptions?.format };
+
+  hasWorkspaceFolderCapability = !!params.capabilities.workspace?.workspaceFolders;
+
+  if (params.workspaceFolders) {
+    workspaceFolderUris = params.workspaceFolders.map(folder => folder.uri);
+  } else if (params.rootUri) {
+    workspaceFolderUris = [params.rootUri];
+  }
 
   return {
     capabilities: {
-      textDocumentSync: TextDocumentSyncKind.Full,
+      textDocumentSync: TextDocumentSyncKind.Incremental,
       definitionProvider: true,
+      hoverProvider: true,
       completionProvider: {
         resolveProvider: false,
-        triggerCharacters: ['@', '%']
+        triggerCharacters: ['@', '%', '[']
+      },
+      codeActionProvider: {
+        codeActionKinds: [CodeActionKind.QuickFix]
+      },
+      executeCommandProvider: {
+        commands: ['yantra.server.implementMissingWalkerFunctions']
       },
       documentFormattingProvider: true,
+      documentRangeFormattingProvider: true,
+      documentOnTypeFormattingProvider: {
+        firstTriggerCharacter: ';',
+        moreTriggerCharacter: ['}']
+      },
       referencesProvider: true,
-      renameProvider: true,
+      renameProvider: {
+        prepareProvider: true
+      },
       documentSymbolProvider: true,
+      workspaceSymbolProvider: true,
+      foldingRangeProvider: true,
       semanticTokensProvider: {
         legend: {
           tokenTypes: YantraParser.semanticTokenTypes,
           tokenModifiers: YantraParser.semanticTokenModifiers
         },
         full: true
+      },
+      workspace: {
+        workspaceFolders: {
+          supported: true,
+          changeNotifications: true
+        }
       }
     }
   };
 });
 
+connection.onInitialized(() => {
+  // Build the workspace index in the background
+  workspaceFolderUris.forEach(indexWorkspaceFolder);
+
+  if (hasWorkspaceFolderCapability) {
+    connection.workspace.onDidChangeWorkspaceFolders((event) => {
+      event.removed.forEach(folder => workspaceIndex.removeFolder(folder.uri));
+      event.added.forEach(folder => indexWorkspaceFolder(folder.uri));
+    });
+  }
+});
+
+/**
+ * Indexes a workspace folder. Open documents are indexed as they
+ * are edited instead, since they may have unsaved changes.
+ * @param {string} folderUri
+ */
+function indexWorkspaceFolder(folderUri) {
+  workspaceIndex.indexFolder(folderUri)
+    .then(() => {
+      connection.console.info(`Indexed workspace folder ${folderUri}`);
+    })
+    .catch((err) => {
+      connection.console.error(`Failed to index workspace folder ${folderUri}: ${err}`);
+    });
+}
+
 // Document synchronization and diagnostics
 documents.onDidOpen((event) => {
   const doc = event.document;
@@ -95,9 +196,31 @@ documents.onDidClose((event) => {
   const doc = event.document;
   connection.sendDiagnostics({ uri: doc.uri, diagnostics: [] });
   parserCache.delete(doc.uri);
+  parsedVersions.delete(doc.uri);
+
+  // Unsaved changes are discarded, so index the file as it is on disk
+  // if it is in a workspace folder
+  workspaceIndex.close(doc.uri);
   connection.console.info(`Closed document ${doc.uri}`);
 });
 
+// Grammar files changed outside the editor
+connection.onDidChangeWatchedFiles((params) => {
+  params.changes.forEach((change) => {
+    if (!WorkspaceIndex.isGrammarUri(change.uri)) return;
+
+    if (change.type === FileChangeType.Deleted) {
+      workspaceIndex.remove(change.uri);
+      return;
+    }
+
+    // Open documents are indexed as they are edited
+    if (documents.get(change.uri)) return;
+
+    workspaceIndex.indexFile(change.uri);
+  });
+});
+
 /**
  * 
  * @param {TextDocument} document 
@@ -113,12 +236,21 @@ function updateDiagnostics(document) {
 
   const text = document.getText();
   documentParser.parse(text);
+  parsedVersions.set(document.uri, document.version);
+  workspaceIndex.update(document.uri, documentParser);
 
   const diagnostics = documentParser.getErrors().map((yantraerror) => ({
     severity: yantraerror.severity,
     range: yantraerror.range,
     message: yantraerror.message,
-    source: 'yantra-language-server'
+    source: 'yantra-language-server',
+    code: yantraerror.code,
+    data: yantraerror.data,
+    tags: yantraerror.tags,
+    relatedInformation: yantraerror.relatedInformation?.map((related) => ({
+      location: { uri: document.uri, range: related.range },
+      message: related.message
+    }))
   }));
 
   connection.sendDiagnostics({ uri: document.uri, diagnostics });
@@ -126,10 +258,59 @@ function updateDiagnostics(document) {
 
 const debouncedUpdateDiagnostics = debounce(updateDiagnostics, 300);
 
+/**
+ * Returns the parser of a document, after parsing the document
+ * if it has changed since it was last parsed. Formatting edits
+ * are computed line by line, so they need the current text.
+ * @param {TextDocument} document
+ * @returns {YantraParser|undefined}
+ */
+function getCurrentParser(document) {
+  if (parsedVersions.get(document.uri) !== document.version) {
+    updateDiagnostics(document);
+  }
+
+  return parserCache.get(document.uri);
+}
+
+/**
+ * Combines the options of a formatting request with the
+ * formatter settings.
+ * @param {{tabSize: Number, insertSpaces: boolean}} options
+ */
+function getFormatOptions(options) {
+  return {
+    ...serverConfig.format,
+    tabSize: options.tabSize,
+    insertSpaces: options.insertSpaces
+  };
+}
+
+/**
+ * Returns the edits which replace a range of lines of a document
+ * with formatted lines.
+ * @param {TextDocument} document
+ * @param {{startLine: Number, endLine: Number, lines: string[]}} formattedRange
+ */
+function getFormattingEdits(document, formattedRange) {
+  const text = document.getText();
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const oldLines = text.split(/\r?\n/);
+  const newLines = [
+    ...oldLines.slice(0, formattedRange.startLine),
+    ...formattedRange.lines,
+    ...oldLines.slice(formattedRange.endLine)
+  ];
+
+  // Only edit the lines which changed
+  return getLineEdits(oldLines, newLines, eol);
+}
+
 // Custom notification for settings
 connection.onNotification('yantra/errorThresholdChanged', (params) => {
   if (serverConfig.errThreshold !== params.value) {
     serverConfig.errThreshold = params.value;
+    workspaceIndex.errorThreshold = serverConfig.errThreshold;
     parserCache.forEach((parser) => {
       parser.errorThreshold = serverConfig.errThreshold;
     });
@@ -137,6 +318,11 @@ connection.onNotification('yantra/errorThresholdChanged', (params) => {
   connection.console.info(`Error threshold updated to ${params.value}`);
 });
 
+connection.onNotification('yantra/formatSettingsChanged', (params) => {
+  serverConfig.format = { ...serverConfig.format, ...params.value };
+  connection.console.info('Format settings updated');
+});
+
 // Go to Definition
 connection.onDefinition((params) => {
   const { textDocument, position } = params;
@@ -154,6 +340,30 @@ connection.onDefinition((params) => {
   ));
 });
 
+// Hover
+connection.onHover((params) => {
+  const { textDocument, position } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return null;
+
+  const parser = parserCache.get(textDocument.uri);
+  if (!parser || parser.status !== ParserStatus.Ready) return null;
+
+  return parser.getHoverAt(position.line, position.character);
+});
+
+// Nullable, FIRST and FOLLOW sets of the grammar rules, for tooling
+connection.onRequest('yantra/grammarSets', (params) => {
+  const { textDocument } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return null;
+
+  const parser = parserCache.get(textDocument.uri);
+  if (!parser || parser.status !== ParserStatus.Ready) return null;
+
+  return parser.getGrammarSets();
+});
+
 // Autocomplete
 
 connection.onCompletion((params) => {
@@ -178,19 +388,112 @@ connection.onDocumentFormatting((params) => {
   const document = documents.get(textDocument.uri);
   if (!document) return [];
 
-  const parser = parserCache.get(textDocument.uri);
+  const parser = getCurrentParser(document);
   if (!parser || parser.status !== ParserStatus.Ready) return [];
 
-  const lines = parser.getFormattedLines();
+  const lines = parser.getFormattedLines(getFormatOptions(options));
   if (lines.length === 0) return lines;
 
-  return [{
-    range: {
-      start: { line: 0, character: 0 },
-      end: { line: document.lineCount, character: 0 }
-    },
-    newText: lines.join('\n')
-  }];
+  return getFormattingEdits(document, {
+    startLine: 0,
+    endLine: document.lineCount,
+    lines
+  });
+});
+
+// Format selection
+connection.onDocumentRangeFormatting((params) => {
+  const { textDocument, range, options } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return [];
+
+  const parser = getCurrentParser(document);
+  if (!parser || parser.status !== ParserStatus.Ready) return [];
+
+  // A selection ending at the start of a line does not include it
+  const endLine = range.end.character === 0 && range.end.line > range.start.line
+    ? range.end.line - 1
+    : range.end.line;
+
+  const formattedRange = parser.getFormattedRange(
+    range.start.line,
+    endLine,
+    getFormatOptions(options)
+  );
+  if (!formattedRange) return [];
+
+  return getFormattingEdits(document, formattedRange);
+});
+
+// Format the definition or code block which was just finished
+connection.onDocumentOnTypeFormatting((params) => {
+  const { textDocument, position, ch, options } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return [];
+
+  const parser = getCurrentParser(document);
+  if (!parser || parser.status !== ParserStatus.Ready) return [];
+
+  const formattedRange = parser.getFormattedRangeOnType(
+    position.line,
+    ch,
+    getFormatOptions(options)
+  );
+  if (!formattedRange) return [];
+
+  return getFormattingEdits(document, formattedRange);
+});
+
+// Quick fixes
+connection.onCodeAction((params) => {
+  const { textDocument, context } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return [];
+
+  const parser = parserCache.get(textDocument.uri);
+  if (!parser || parser.status !== ParserStatus.Ready) return [];
+
+  const diagnostics = context.diagnostics.filter(
+    diagnostic => diagnostic.source === 'yantra-language-server'
+  );
+
+  return parser.getCodeActions(diagnostics).map(action => ({
+    title: action.title,
+    kind: action.kind,
+    diagnostics: action.diagnostics,
+    edit: {
+      changes: {
+        [document.uri]: action.edits
+      }
+    }
+  }));
+});
+
+// Server commands
+connection.onExecuteCommand(async (params) => {
+  if (params.command !== 'yantra.server.implementMissingWalkerFunctions') return;
+
+  const uri = params.arguments?.[0];
+  const document = documents.get(uri);
+  if (!document) return;
+
+  const parser = parserCache.get(uri);
+  if (!parser || parser.status !== ParserStatus.Ready) return;
+
+  const edits = parser.getMissingCodeBlockEdits();
+  if (edits.length === 0) {
+    connection.window.showInformationMessage('All declared walker functions have been implemented');
+    return;
+  }
+
+  await connection.workspace.applyEdit({
+    label: 'Implement missing walker functions',
+    edit: {
+      changes: {
+        [document.uri]: edits
+      }
+    }
+  });
 });
 
 // Get all references
@@ -213,6 +516,17 @@ connection.onReferences((params) => {
 });
 
 // Rename Symbol
+connection.onPrepareRename((params) => {
+  const { textDocument, position } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return null;
+
+  const parser = parserCache.get(textDocument.uri);
+  if (!parser || parser.status !== ParserStatus.Ready) return null;
+
+  return parser.prepareRenameAt(position.line, position.character);
+});
+
 connection.onRenameRequest((params) => {
   const { textDocument, position, newName } = params;
   const document = documents.get(textDocument.uri);
@@ -221,6 +535,15 @@ connection.onRenameRequest((params) => {
   const parser = parserCache.get(textDocument.uri);
   if (!parser || parser.status !== ParserStatus.Ready) return null;
 
+  const renameError = parser.getRenameError(
+    position.line,
+    position.character,
+    newName
+  );
+  if (renameError) {
+    return new ResponseError(ErrorCodes.InvalidParams, renameError);
+  }
+
   const edits = parser.renameSymbolAt(
     position.line,
     position.character,
@@ -244,6 +567,23 @@ connection.onDocumentSymbol((params) => {
   return parser.getDocumentSymbols();
 });
 
+// Workspace symbols
+connection.onWorkspaceSymbol((params) => {
+  return workspaceIndex.search(params.query);
+});
+
+// Folding
+connection.onFoldingRanges((params) => {
+  const { textDocument } = params;
+  const document = documents.get(textDocument.uri);
+  if (!document) return [];
+
+  const parser = parserCache.get(textDocument.uri);
+  if (!parser || parser.status !== ParserStatus.Ready) return [];
+
+  return parser.getFoldingRanges();
+});
+
 // Semantic tokens
 connection.languages.semanticTokens.on((params) => {
   const document = documents.get(params.textDocument.uri);
@@ -0,0 +1,160 @@
+/**
+ * @typedef {import('vscode-languageserver/node').TextEdit} TextEdit
+ */
+
+/**
+ * The largest number of line pairs compared to find the lines
+ * which did not change. Beyond this, the changed lines are
+ * replaced in one edit.
+ */
+const MAX_COMPARED_LINE_PAIRS = 4000000;
+
+/**
+ * A run of lines in the old text replaced by a run of lines in
+ * the new text.
+ * @typedef {Object} LineChange
+ * @property {number} oldStart
+ * @property {number} oldEnd - Exclusive
+ * @property {number} newStart
+ * @property {number} newEnd - Exclusive
+ */
+
+/**
+ * Returns the edits which change one text into another, as a list
+ * of lines each. Lines which are the same in both are not edited,
+ * so that the cursor and undo history keep their place.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {string} [eol] - The end of line sequence of the document
+ * @returns {TextEdit[]}
+ */
+function getLineEdits(oldLines, newLines, eol = '\n') {
+    return getLineChanges(oldLines, newLines).map(
+        change => toTextEdit(change, oldLines, newLines, eol)
+    );
+}
+
+/**
+ * Finds the runs of lines which changed, in document order.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {LineChange[]}
+ */
+function getLineChanges(oldLines, newLines) {
+    // Lines at the start and end which did not change
+    let prefix = 0;
+    while (
+        prefix < oldLines.length &&
+        prefix < newLines.length &&
+        oldLines[prefix] === newLines[prefix]
+    ) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (
+        suffix < oldLines.length - prefix &&
+        suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const oldEnd = oldLines.length - suffix;
+    const newEnd = newLines.length - suffix;
+    if (prefix === oldEnd && prefix === newEnd) return [];
+
+    const oldCount = oldEnd - prefix;
+    const newCount = newEnd - prefix;
+    if (oldCount === 0 || newCount === 0 || oldCount * newCount > MAX_COMPARED_LINE_PAIRS) {
+        return [{ oldStart: prefix, oldEnd, newStart: prefix, newEnd }];
+    }
+
+    // Lengths of the longest common subsequences of the remaining
+    // lines, from each pair of positions to the end.
+    const width = newCount + 1;
+    const lengths = new Uint32Array((oldCount + 1) * width);
+    for (let i = oldCount - 1; i >= 0; i--) {
+        for (let j = newCount - 1; j >= 0; j--) {
+            lengths[i * width + j] = oldLines[prefix + i] === newLines[prefix + j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    /** @type {LineChange[]} */
+    const changes = [];
+    /** @type {LineChange|undefined} */
+    let change;
+    let i = 0;
+    let j = 0;
+    while (i < oldCount || j < newCount) {
+        if (i < oldCount && j < newCount && oldLines[prefix + i] === newLines[prefix + j]) {
+            change = undefined;
+            i++;
+            j++;
+            continue;
+        }
+
+        if (!change) {
+            change = { oldStart: prefix + i, oldEnd: prefix + i, newStart: prefix + j, newEnd: prefix + j };
+            changes.push(change);
+        }
+
+        if (j === newCount || (i < oldCount && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            i++;
+            change.oldEnd++;
+        } else {
+            j++;
+            change.newEnd++;
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Converts a change to a text edit. Each line but the last ends
+ * with an end of line sequence, so a change which reaches the end
+ * of the document replaces the end of line before it instead.
+ * @param {LineChange} change
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @param {string} eol
+ * @returns {TextEdit}
+ */
+function toTextEdit(change, oldLines, newLines, eol) {
+    const insertedLines = newLines.slice(change.newStart, change.newEnd);
+
+    if (change.oldEnd < oldLines.length) {
+        return {
+            range: {
+                start: { line: change.oldStart, character: 0 },
+                end: { line: change.oldEnd, character: 0 }
+            },
+            newText: insertedLines.map(line => line + eol).join('')
+        };
+    }
+
+    const lastLine = oldLines.length - 1;
+    const end = { line: lastLine, character: oldLines[lastLine].length };
+    if (change.oldStart === 0) {
+        return {
+            range: { start: { line: 0, character: 0 }, end },
+            newText: insertedLines.join(eol)
+        };
+    }
+
+    const previousLine = change.oldStart - 1;
+    return {
+        range: {
+            start: { line: previousLine, character: oldLines[previousLine].length },
+            end
+        },
+        newText: insertedLines.map(line => eol + line).join('')
+    };
+}
+
+module.exports = {
+    getLineEdits
+};
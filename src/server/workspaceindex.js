@@ -0,0 +1,316 @@
+/**
+ * @typedef {import('vscode-languageserver/node').SymbolInformation} SymbolInformation
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+const { ParserStatus, YantraParser } = require('./parser/yantraparser');
+
+/** File extensions of Yantra grammars */
+const GRAMMAR_FILE_PATTERN = /\.(yantra|y)$/;
+
+/** Directories which are never searched for grammars */
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+/**
+ * An index of the symbols defined in every Yantra grammar in the
+ * workspace folders, whether the grammar is open or not.
+ */
+class WorkspaceIndex {
+    /**
+     * Symbols per document, by the key of its URI. Clients and the
+     * file system can spell the URI of a file differently, so the
+     * index is keyed by file path instead.
+     * @type {Map<string, SymbolInformation[]>}
+     */
+    #symbols = new Map();
+    /**
+     * Keys of the workspace folders, each ending with a separator.
+     * @type {Set<string>}
+     */
+    #folderKeys = new Set();
+    /**
+     * Keys of the documents open in the client. These are indexed
+     * as they are edited, and never from disk.
+     * @type {Set<string>}
+     */
+    #openKeys = new Set();
+    /**
+     * The latest read from disk of each file. An earlier read which
+     * finishes later is stale, and is ignored.
+     * @type {Map<string, object>}
+     */
+    #pendingReads = new Map();
+    #errorThreshold = 25;
+
+    get errorThreshold() {
+        return this.#errorThreshold;
+    }
+
+    set errorThreshold(value) {
+        this.#errorThreshold = value;
+    }
+
+    /**
+     * Checks if a URI refers to a Yantra grammar file.
+     * @param {string} uri
+     * @returns {boolean}
+     */
+    static isGrammarUri(uri) {
+        return GRAMMAR_FILE_PATTERN.test(uri);
+    }
+
+    /**
+     * Indexes all grammar files under a workspace folder.
+     * Files are read one at a time, so that requests can be served
+     * while the index is being built.
+     * @param {string} folderUri
+     * @returns {Promise<void>}
+     */
+    async indexFolder(folderUri) {
+        let folderPath;
+        try {
+            folderPath = fileURLToPath(folderUri);
+        } catch {
+            // Not a file system folder
+            return;
+        }
+
+        this.#folderKeys.add(getFolderKey(folderUri));
+
+        for await (const filePath of findGrammarFiles(folderPath)) {
+            await this.indexFile(pathToFileURL(filePath).href);
+        }
+    }
+
+    /**
+     * Drops all files under a workspace folder from the index.
+     * @param {string} folderUri
+     */
+    removeFolder(folderUri) {
+        const prefix = getFolderKey(folderUri);
+        this.#folderKeys.delete(prefix);
+
+        for (const key of [...this.#symbols.keys()]) {
+            if (key.startsWith(prefix) && !this.#isInFolder(key)) {
+                this.#symbols.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Reads and parses a grammar file from disk, and indexes its symbols.
+     * The file is dropped from the index if it cannot be read. Open
+     * documents are not read, since they may have unsaved changes.
+     * @param {string} uri
+     * @returns {Promise<void>}
+     */
+    async indexFile(uri) {
+        const key = getIndexKey(uri);
+        if (this.#openKeys.has(key)) return;
+
+        const read = {};
+        this.#pendingReads.set(key, read);
+
+        let text;
+        try {
+            text = await fs.readFile(fileURLToPath(uri), 'utf8');
+        } catch {
+            text = undefined;
+        }
+
+        // The document was opened, removed or read again meanwhile
+        if (this.#pendingReads.get(key) !== read) return;
+        this.#pendingReads.delete(key);
+
+        if (text === undefined) {
+            this.#symbols.delete(key);
+            return;
+        }
+
+        const parser = new YantraParser();
+        parser.errorThreshold = this.#errorThreshold;
+        parser.parse(text);
+
+        this.#setSymbols(uri, parser);
+    }
+
+    /**
+     * Indexes the symbols of an open document, which has been parsed.
+     * The document is not read from disk until it is closed.
+     * @param {string} uri
+     * @param {YantraParser} parser
+     */
+    update(uri, parser) {
+        const key = getIndexKey(uri);
+        this.#openKeys.add(key);
+        this.#pendingReads.delete(key);
+
+        this.#setSymbols(uri, parser);
+    }
+
+    /**
+     * Stops tracking an open document. A document in a workspace
+     * folder is indexed again as it is on disk, since unsaved changes
+     * are discarded. Other documents are dropped from the index.
+     * @param {string} uri
+     * @returns {Promise<void>}
+     */
+    async close(uri) {
+        const key = getIndexKey(uri);
+        this.#openKeys.delete(key);
+
+        if (this.#isInFolder(key)) {
+            await this.indexFile(uri);
+        } else {
+            this.remove(uri);
+        }
+    }
+
+    /**
+     * Checks if a key is under one of the workspace folders.
+     * @param {string} key
+     * @returns {boolean}
+     */
+    #isInFolder(key) {
+        for (const folderKey of this.#folderKeys) {
+            if (key.startsWith(folderKey)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} uri
+     * @param {YantraParser} parser
+     */
+    #setSymbols(uri, parser) {
+        if (parser.status !== ParserStatus.Ready) return;
+
+        /** @type {SymbolInformation[]} */
+        const symbols = [];
+
+        // The document outline groups symbols by their type. The
+        // group name is used as the container.
+        parser.getDocumentSymbols().forEach((group) => {
+            group.children?.forEach((symbol) => {
+                symbols.push({
+                    name: symbol.name,
+                    kind: symbol.kind,
+                    location: { uri, range: symbol.selectionRange },
+                    containerName: group.name
+                });
+            });
+        });
+
+        this.#symbols.set(getIndexKey(uri), symbols);
+    }
+
+    /**
+     * Drops a file from the index.
+     * @param {string} uri
+     */
+    remove(uri) {
+        const key = getIndexKey(uri);
+        this.#symbols.delete(key);
+        this.#pendingReads.delete(key);
+    }
+
+    /**
+     * Returns the symbols whose names contain the characters of the
+     * query, in order, ignoring case. An empty query matches all symbols.
+     * @param {string} query
+     * @returns {SymbolInformation[]}
+     */
+    search(query) {
+        const needle = query.toLowerCase();
+
+        /** @type {SymbolInformation[]} */
+        const results = [];
+        this.#symbols.forEach((symbols) => {
+            symbols.forEach((symbol) => {
+                if (matchesQuery(symbol.name.toLowerCase(), needle)) {
+                    results.push(symbol);
+                }
+            });
+        });
+
+        return results;
+    }
+}
+
+/**
+ * Returns the key of a document URI in the index: the path of the
+ * file, or the URI itself if it is not a file URI. Paths are not
+ * case sensitive on Windows.
+ * @param {string} uri
+ * @returns {string}
+ */
+function getIndexKey(uri) {
+    let filePath;
+    try {
+        filePath = path.normalize(fileURLToPath(uri));
+    } catch {
+        return uri;
+    }
+    return process.platform === 'win32' ? filePath.toLowerCase() : filePath;
+}
+
+/**
+ * Returns the key of a workspace folder URI, ending with a separator
+ * so that it is a prefix of the keys of the files in the folder.
+ * @param {string} folderUri
+ * @returns {string}
+ */
+function getFolderKey(folderUri) {
+    const key = getIndexKey(folderUri);
+    return key.endsWith(path.sep) ? key : key + path.sep;
+}
+
+/**
+ * Checks if all characters of a query appear in a name, in order.
+ * @param {string} name
+ * @param {string} query
+ * @returns {boolean}
+ */
+function matchesQuery(name, query) {
+    let position = 0;
+    for (const ch of query) {
+        position = name.indexOf(ch, position);
+        if (position === -1) return false;
+        position++;
+    }
+    return true;
+}
+
+/**
+ * Recursively finds grammar files under a directory, skipping
+ * hidden and ignored directories.
+ * @param {string} directoryPath
+ * @returns {AsyncGenerator<string>}
+ */
+async function* findGrammarFiles(directoryPath) {
+    let entries;
+    try {
+        entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    } catch {
+        return;
+    }
+
+    for (const entry of entries) {
+        const entryPath = path.join(directoryPath, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name.startsWith('.') || IGNORED_DIRECTORIES.includes(entry.name)) {
+                continue;
+            }
+            yield* findGrammarFiles(entryPath);
+        } else if (entry.isFile() && GRAMMAR_FILE_PATTERN.test(entry.name)) {
+            yield entryPath;
+        }
+    }
+}
+
+module.exports = {
+    WorkspaceIndex
+};
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DiagnosticCode } = require('../src/server/parser/enums');
+const { parseLines } = require('./helpers');
+
+test('reports walker function calls whose argument is not an alias', () => {
+    const lines = [
+        '%walkers Eval;',
+        '%function expr Eval::eval() -> int;',
+        'NUM := "[0-9]+";',
+        'PLUS := "\\+";',
+        '%left PLUS;',
+        'start := expr;',
+        'expr := expr(e1) PLUS expr(e2)',
+        '@Eval::eval',
+        '%{',
+        '    // eval(e3) in a comment is not a call',
+        '    return eval(e1) + eval(e3) + x.eval(q) + eval( e2 );',
+        '%}',
+        'expr := NUM(n)',
+        '@Eval::eval',
+        '%{',
+        '    return std::stoi(n.text) + m.text;',
+        '%}'
+    ];
+
+    const unknownAliases = parseLines(lines).getErrors()
+        .filter(error => error.code === DiagnosticCode.UnknownAlias)
+        .map(error => [error.range.start.line, error.range.start.character, error.data.name]);
+
+    // Uses other than walker function calls, such as m.text, are not checked
+    assert.deepStrictEqual(unknownAliases, [[10, 27, 'e3']]);
+});
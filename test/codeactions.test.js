@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DiagnosticCode, ErrorSeverity } = require('../src/server/parser/enums');
+const { YantraParser } = require('../src/server/parser/yantraparser');
+const { parseLines, applyEdits } = require('./helpers');
+
+/**
+ * Returns the code action with a title from the quick fixes of a
+ * document.
+ * @param {string[]} lines
+ * @param {string} title
+ */
+function getAction(lines, title) {
+    const parser = parseLines(lines);
+    const action = parser.getCodeActions(parser.getErrors())
+        .find(codeAction => codeAction.title === title);
+    assert.ok(action, `No code action titled '${title}'`);
+    return action;
+}
+
+test('removes all unused tokens at the end of the document', () => {
+    const lines = [
+        '%check_unused_tokens true;',
+        'ID := "[a-z]+";',
+        'start := ID;',
+        'A := "a";',
+        'B := "b";'
+    ];
+
+    const action = getAction(lines, 'Remove all unused tokens');
+    assert.deepStrictEqual(applyEdits(lines, action.edits), [
+        '%check_unused_tokens true;',
+        'ID := "[a-z]+";',
+        'start := ID;'
+    ]);
+});
+
+test('removes unused tokens separated by other lines', () => {
+    const lines = [
+        '%check_unused_tokens;',
+        'A := "a";',
+        'ID := "[a-z]+";',
+        'B := "b";',
+        'C := "c";',
+        'start := ID;',
+        'D := "d";'
+    ];
+
+    const action = getAction(lines, 'Remove all unused tokens');
+    assert.deepStrictEqual(applyEdits(lines, action.edits), [
+        '%check_unused_tokens;',
+        'ID := "[a-z]+";',
+        'start := ID;'
+    ]);
+});
+
+test('reports unused tokens only when the check is enabled', () => {
+    const lines = ['ID := "[a-z]+";', 'start := ID;', 'A := "a";'];
+    const countUnused = (/** @type {string[]} */ documentLines) => parseLines(documentLines).getErrors()
+        .filter(error => error.code === DiagnosticCode.UnusedToken)
+        .length;
+
+    assert.strictEqual(countUnused(lines), 0);
+    assert.strictEqual(countUnused(['%check_unused_tokens false;', ...lines]), 0);
+    assert.strictEqual(countUnused(['%check_unused_tokens true;', ...lines]), 1);
+});
+
+test('defines an undefined token without introducing errors', () => {
+    const lines = [
+        'ID := "[0-9]+";',
+        'start := ID PLUS ID;'
+    ];
+
+    const action = getAction(lines, "Define token 'PLUS'");
+    const fixedLines = applyEdits(lines, action.edits);
+    assert.deepStrictEqual(fixedLines, [
+        'ID := "[0-9]+";',
+        'PLUS := "plus";',
+        'start := ID PLUS ID;'
+    ]);
+
+    const errors = parseLines(fixedLines).getErrors()
+        .filter(error => error.severity === ErrorSeverity.Error);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('offers each fix once when several diagnostics ask for it', () => {
+    const lines = [
+        '%walkers Eval;',
+        '%function start Eval::eval() -> int;',
+        'NUM := "[0-9]+";',
+        'start := NUM;'
+    ];
+
+    const parser = parseLines(lines);
+    const titles = parser.getCodeActions(parser.getErrors()).map(action => action.title);
+    assert.deepStrictEqual(
+        titles.filter(title => title === "Implement 'start::Eval::eval'"),
+        ["Implement 'start::Eval::eval'"]
+    );
+});
+
+test('inserts lines with the line ending of the document', () => {
+    const parser = new YantraParser();
+    parser.parse('ID := "[0-9]+";\r\nstart := ID PLUS ID;\r\n');
+
+    const action = parser.getCodeActions(parser.getErrors())
+        .find(codeAction => codeAction.title === "Define token 'PLUS'");
+    assert.ok(action);
+    action.edits.forEach(edit => assert.doesNotMatch(edit.newText, /(?<!\r)\n/));
+});
+
+test('defines a lexer mode without introducing warnings', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        'QUOTE := "\\""[str];',
+        'start := NUM QUOTE;'
+    ];
+
+    const action = getAction(lines, "Define lexer mode 'str'");
+    const fixedLines = applyEdits(lines, action.edits);
+    assert.deepStrictEqual(fixedLines.slice(3), [
+        '',
+        '%lexer_mode str;',
+        'STR_END := "str_end"[^];'
+    ]);
+    assert.deepStrictEqual(parseLines(fixedLines).getErrors(), []);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseLines } = require('./helpers');
+
+test('completes only tokens defined after a precedence pragma', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        '%left ',
+        'PLUS := "\\+";',
+        'MINUS := "-";',
+        'start := NUM PLUS NUM MINUS NUM;'
+    ];
+
+    const labels = parseLines(lines).getCompletionsAt(1, 6, lines[1])
+        .map(completion => completion.label)
+        .sort();
+    assert.deepStrictEqual(labels, ['MINUS', 'PLUS']);
+});
+
+test('completes tokens and rules on a line which continues a rule definition', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        'start := NUM',
+        '    NUM N;'
+    ];
+
+    const labels = parseLines(lines).getCompletionsAt(2, 9, lines[2])
+        .map(completion => completion.label);
+    assert.deepStrictEqual(labels, ['NUM']);
+});
@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseLines } = require('./helpers');
+
+test('formats a line on typing ; before a trailing comment', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        'start:=NUM; // note'
+    ];
+
+    const formattedRange = parseLines(lines).getFormattedRangeOnType(1, ';');
+    assert.ok(formattedRange);
+    assert.deepStrictEqual(formattedRange.lines, ['start := NUM; // note']);
+});
+
+test('does not format on typing ; in a comment', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        'start := NUM // note;'
+    ];
+
+    assert.strictEqual(parseLines(lines).getFormattedRangeOnType(1, ';'), undefined);
+});
+
+test('keeps doc comments when formatting', () => {
+    const lines = [
+        '/// The **start** rule',
+        '//plain comment',
+        '///',
+        'start := NUM;',
+        'NUM := "[0-9]+";'
+    ];
+
+    const formattedLines = parseLines(lines).getFormattedLines();
+    assert.deepStrictEqual(formattedLines.slice(0, 4), [
+        '/// The **start** rule',
+        '// plain comment',
+        '///',
+        'start := NUM;'
+    ]);
+
+    const hover = parseLines(formattedLines).getHoverAt(3, 2);
+    assert.match(JSON.stringify(hover), /The \*\*start\*\* rule/);
+});
+
+test('keeps code blocks indented like the options as they are', () => {
+    const lines = [
+        '%walkers Eval;',
+        '%function start Eval::eval() -> void;',
+        'NUM := "[0-9]+";',
+        'start := NUM',
+        '@Eval::eval',
+        '%{',
+        '    if (x) {',
+        '      y(); // aligned',
+        '    }',
+        '',
+        '    auto s = R"(',
+        'raw text',
+        '  )";',
+        '%}'
+    ];
+
+    assert.deepStrictEqual(parseLines(lines).getFormattedLines().slice(5), lines.slice(5));
+});
+
+test('indents code blocks again when the options differ', () => {
+    const lines = [
+        '%walkers Eval;',
+        '%function start Eval::eval() -> void;',
+        'NUM := "[0-9]+";',
+        'start := NUM',
+        '@Eval::eval',
+        '%{',
+        '    if (x) {',
+        '        auto s = R"(',
+        '    raw text',
+        ')";',
+        '    }',
+        '%}'
+    ];
+    const options = {
+        tabSize: 4,
+        insertSpaces: false,
+        alignTokenDefinitions: true,
+        alignRuleAssignments: false,
+        maxBlankLines: -1
+    };
+
+    assert.deepStrictEqual(parseLines(lines).getFormattedLines(options).slice(5), [
+        '%{',
+        '\tif (x) {',
+        '\t\tauto s = R"(',
+        '    raw text',
+        ')";',
+        '\t}',
+        '%}'
+    ]);
+});
+
+test('wraps rule definitions longer than the maximum line width', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        'start := NUM(FIRST) NUM(SECOND)',
+        '  NUM NUM(FOURTH) NUM;'
+    ];
+    const options = {
+        tabSize: 4,
+        insertSpaces: true,
+        alignTokenDefinitions: true,
+        alignRuleAssignments: false,
+        maxBlankLines: -1,
+        maxLineWidth: 30
+    };
+
+    const formattedLines = parseLines(lines).getFormattedLines(options);
+    assert.deepStrictEqual(formattedLines.slice(1), [
+        'start := NUM (FIRST)',
+        '    NUM (SECOND) NUM',
+        '    NUM (FOURTH) NUM;'
+    ]);
+    assert.deepStrictEqual(parseLines(formattedLines).getFormattedLines(options), formattedLines);
+
+    // Without a maximum line width, a rule definition is one line
+    assert.deepStrictEqual(parseLines(lines).getFormattedLines().slice(1), [
+        'start := NUM (FIRST) NUM (SECOND) NUM NUM (FOURTH) NUM;'
+    ]);
+});
+
+test('keeps rule definitions with comments on the lines which continue them', () => {
+    const lines = [
+        'NUM := "[0-9]+";',
+        'start :=  NUM // first',
+        '    NUM;  // second'
+    ];
+
+    assert.deepStrictEqual(parseLines(lines).getFormattedLines(), lines);
+});
+
+test('keeps lines with comments between their code as they are', () => {
+    const lines = [
+        'NUM  :=  "[0-9]+"; /* digits */',
+        'x :=  NUM /* c */ NUM;',
+        '/* first */  start := x;'
+    ];
+
+    assert.deepStrictEqual(parseLines(lines).getFormattedLines(), [
+        'NUM := "[0-9]+"; /* digits */',
+        'x :=  NUM /* c */ NUM;',
+        '/* first */ start := x;'
+    ]);
+});
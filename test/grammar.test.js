@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseLines } = require('./helpers');
+
+/**
+ * Returns the sets of each rule of a document, by rule name.
+ * @param {string[]} lines
+ */
+function getSets(lines) {
+    const grammarSets = parseLines(lines).getGrammarSets();
+    assert.ok(grammarSets);
+    return new Map(grammarSets.rules.map(rule => [rule.name, rule]));
+}
+
+test('computes FIRST and FOLLOW sets of an expression grammar', () => {
+    const sets = getSets([
+        'NUM := "[0-9]+";',
+        'PLUS := "\\+";',
+        'LP := "\\(";',
+        'RP := "\\)";',
+        'start := e;',
+        'e := t;',
+        'e := e PLUS t;',
+        't := NUM;',
+        't := LP e RP;'
+    ]);
+
+    assert.deepStrictEqual(sets.get('e'), {
+        name: 'e',
+        nullable: false,
+        first: ['LP', 'NUM'],
+        follow: ['$end', 'PLUS', 'RP']
+    });
+    assert.deepStrictEqual(sets.get('t')?.follow, ['$end', 'PLUS', 'RP']);
+    assert.deepStrictEqual(sets.get('start')?.follow, ['$end']);
+});
+
+test('follows nullable rules through to the next symbol', () => {
+    const sets = getSets([
+        'A := "a";',
+        'B := "b";',
+        'C := "c";',
+        'start := x y C;',
+        'x := A;',
+        'x := ;',
+        'y := B;',
+        'y := ;'
+    ]);
+
+    assert.strictEqual(sets.get('x')?.nullable, true);
+    assert.strictEqual(sets.get('start')?.nullable, false);
+    assert.deepStrictEqual(sets.get('start')?.first, ['A', 'B', 'C']);
+    assert.deepStrictEqual(sets.get('x')?.follow, ['B', 'C']);
+    assert.deepStrictEqual(sets.get('y')?.follow, ['C']);
+});
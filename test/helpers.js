@@ -0,0 +1,66 @@
+const { YantraParser } = require('../src/server/parser/yantraparser');
+
+/**
+ * @typedef {import('../src/server/parser/yantraparser').TextEdit} TextEdit
+ */
+
+/**
+ * Parses a document given as a list of lines.
+ * @param {string[]} lines
+ * @returns {YantraParser}
+ */
+function parseLines(lines) {
+    const parser = new YantraParser();
+    parser.parse(lines.join('\n'));
+    return parser;
+}
+
+/**
+ * Converts a position to an offset in a text.
+ * @param {string[]} lines
+ * @param {{line: number, character: number}} position
+ * @returns {number}
+ */
+function offsetAt(lines, position) {
+    let offset = 0;
+    for (let line = 0; line < position.line; line++) {
+        offset += lines[line].length + 1;
+    }
+    return offset + position.character;
+}
+
+/**
+ * Applies text edits to a document given as a list of lines, and
+ * returns the lines of the result. Like an editor, this fails if
+ * any two edits overlap.
+ * @param {string[]} lines
+ * @param {TextEdit[]} edits
+ * @returns {string[]}
+ */
+function applyEdits(lines, edits) {
+    const spans = edits
+        .map(edit => ({
+            start: offsetAt(lines, edit.range.start),
+            end: offsetAt(lines, edit.range.end),
+            newText: edit.newText
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    spans.forEach((span, index) => {
+        if (index > 0 && span.start < spans[index - 1].end) {
+            throw new Error('Overlapping edits');
+        }
+    });
+
+    let text = lines.join('\n');
+    for (let i = spans.length - 1; i >= 0; i--) {
+        const span = spans[i];
+        text = text.slice(0, span.start) + span.newText + text.slice(span.end);
+    }
+    return text.split('\n');
+}
+
+module.exports = {
+    parseLines,
+    applyEdits
+};
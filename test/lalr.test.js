@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DiagnosticCode } = require('../src/server/parser/enums');
+const { parseLines } = require('./helpers');
+
+/**
+ * Returns the conflict diagnostics of a document, as their line
+ * and the first line of their message.
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function getConflicts(lines) {
+    return parseLines(lines).getErrors()
+        .filter(error => error.code === DiagnosticCode.Conflict)
+        .map(error => `${error.range.start.line}: ${error.message.split('\n')[0]}`)
+        .sort();
+}
+
+const EXPRESSION_GRAMMAR = [
+    'NUM := "[0-9]+";',
+    'PLUS := "\\+";',
+    'start := e;',
+    'e := e PLUS e;',
+    'e := NUM;'
+];
+
+test('reports the shift/reduce conflict of an ambiguous operator', () => {
+    assert.deepStrictEqual(getConflicts(EXPRESSION_GRAMMAR), [
+        '3: Shift/reduce conflict on PLUS between:'
+    ]);
+});
+
+test('resolves conflicts with operator precedence', () => {
+    assert.deepStrictEqual(getConflicts(['%left PLUS;', ...EXPRESSION_GRAMMAR]), []);
+});
+
+test('reports the dangling else', () => {
+    assert.deepStrictEqual(getConflicts([
+        'IF := "if";',
+        'THEN := "then";',
+        'ELSE := "else";',
+        'OTHER := "o";',
+        'start := IF OTHER THEN start;',
+        'start := IF OTHER THEN start ELSE start;',
+        'start := OTHER;'
+    ]), [
+        '4: Shift/reduce conflict on ELSE between:',
+        '5: Shift/reduce conflict on ELSE between:'
+    ]);
+});
+
+test('reports reduce/reduce conflicts', () => {
+    assert.deepStrictEqual(getConflicts([
+        'X := "x";',
+        'start := a;',
+        'start := b;',
+        'a := X;',
+        'b := X;'
+    ]), [
+        '3: Reduce/reduce conflict on end of input between:',
+        '4: Reduce/reduce conflict on end of input between:'
+    ]);
+});
+
+test('accepts grammars which are LALR(1) but not SLR(1)', () => {
+    assert.deepStrictEqual(getConflicts([
+        'EQ := "=";',
+        'STAR := "\\*";',
+        'ID := "[a-z]+";',
+        'start := l EQ r;',
+        'start := r;',
+        'l := STAR r;',
+        'l := ID;',
+        'r := l;'
+    ]), []);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DiagnosticCode } = require('../src/server/parser/enums');
+const { parseLines } = require('./helpers');
+
+const LEXER_MODE_CODES = [
+    DiagnosticCode.EmptyLexerMode,
+    DiagnosticCode.UnenteredLexerMode,
+    DiagnosticCode.NonReturningLexerMode,
+    DiagnosticCode.CircularLexerInclude
+];
+
+/**
+ * Returns the lexer mode diagnostics of a document, as their line
+ * and code, in line order.
+ * @param {string[]} lines
+ * @returns {[number, string|number|undefined][]}
+ */
+function getModeDiagnostics(lines) {
+    return parseLines(lines).getErrors()
+        .filter(error => LEXER_MODE_CODES.includes(/** @type {string} */ (error.code)))
+        .map(error => /** @type {[number, string|number|undefined]} */ ([error.range.start.line, error.code]))
+        .sort((a, b) => a[0] - b[0]);
+}
+
+test('accepts a mode which is entered and can return', () => {
+    assert.deepStrictEqual(getModeDiagnostics([
+        'QUOTE := "\'"[str];',
+        'start := QUOTE;',
+        '%lexer_mode str;',
+        'END := "\'"[^];',
+        'CH := "[a-z]";'
+    ]), []);
+});
+
+test('reports modes which are never entered, cannot return or are empty', () => {
+    assert.deepStrictEqual(getModeDiagnostics([
+        'OPEN := "<"[trap];',
+        'start := OPEN;',
+        '%lexer_mode lost;',
+        'LOST := "l"[^];',
+        '%lexer_mode trap;',
+        'TRAP := "t";',
+        '%lexer_mode empty;'
+    ]), [
+        [2, DiagnosticCode.UnenteredLexerMode],
+        [4, DiagnosticCode.NonReturningLexerMode],
+        [6, DiagnosticCode.EmptyLexerMode]
+    ]);
+});
+
+test('follows includes when checking modes', () => {
+    assert.deepStrictEqual(getModeDiagnostics([
+        'OPEN := "<"[inner];',
+        'start := OPEN;',
+        '%lexer_mode common;',
+        'CLOSE := ">"[^];',
+        '%lexer_mode inner;',
+        '%lexer_include common;'
+    ]), []);
+});
+
+test('reports circular includes', () => {
+    assert.deepStrictEqual(getModeDiagnostics([
+        'A_START := "a"[a];',
+        'start := A_START;',
+        '%lexer_mode a;',
+        'A_END := "x"[^];',
+        '%lexer_include b;',
+        '%lexer_mode b;',
+        'B_END := "y"[^];',
+        '%lexer_include a;'
+    ]), [
+        [4, DiagnosticCode.CircularLexerInclude],
+        [7, DiagnosticCode.CircularLexerInclude]
+    ]);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseLines, applyEdits } = require('./helpers');
+
+test('renames an alias in code, but not in strings and comments', () => {
+    const lines = [
+        '%walkers Eval;',
+        '%function expr Eval::eval() -> int;',
+        'NUM := "[0-9]+";',
+        'start := expr;',
+        'expr := NUM(n)',
+        '@Eval::eval',
+        '%{',
+        '    // n is the number',
+        '    log("n = ", n, \'n\'); /* n',
+        '       n */ return std::stoi(n.text) + x.n;',
+        '    auto s = R"x(n)")x" + n;',
+        '%}'
+    ];
+
+    const parser = parseLines(lines);
+    const edits = parser.renameSymbolAt(4, 12, 'num');
+    assert.deepStrictEqual(applyEdits(lines, edits).slice(4), [
+        'expr := NUM(num)',
+        '@Eval::eval',
+        '%{',
+        '    // n is the number',
+        '    log("n = ", num, \'n\'); /* n',
+        '       n */ return std::stoi(num.text) + x.n;',
+        '    auto s = R"x(n)")x" + num;',
+        '%}'
+    ]);
+});
+
+test('renames an alias declared on a line which continues the rule definition', () => {
+    const lines = [
+        '%walkers Eval;',
+        '%function expr Eval::eval() -> int;',
+        'NUM := "[0-9]+";',
+        'PLUS := "\\+";',
+        'start := expr;',
+        'expr := NUM(A) PLUS',
+        '    NUM(B)',
+        '@Eval::eval',
+        '%{',
+        '    return std::stoi(A.text) + std::stoi(B.text);',
+        '%}'
+    ];
+
+    const parser = parseLines(lines);
+    assert.deepStrictEqual(parser.getErrors(), []);
+
+    const edits = parser.renameSymbolAt(6, 8, 'SECOND');
+    assert.deepStrictEqual(applyEdits(lines, edits).slice(5), [
+        'expr := NUM(A) PLUS',
+        '    NUM(SECOND)',
+        '@Eval::eval',
+        '%{',
+        '    return std::stoi(A.text) + std::stoi(SECOND.text);',
+        '%}'
+    ]);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getLineEdits } = require('../src/server/textedits');
+const { applyEdits } = require('./helpers');
+
+/**
+ * Checks that the edits from one text to another reproduce it,
+ * and returns them.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ */
+function checkEdits(oldLines, newLines) {
+    const edits = getLineEdits(oldLines, newLines);
+    assert.deepStrictEqual(applyEdits(oldLines, edits), newLines);
+    return edits;
+}
+
+test('returns no edits for the same text', () => {
+    assert.deepStrictEqual(checkEdits(['a', 'b'], ['a', 'b']), []);
+});
+
+test('edits only the lines which change', () => {
+    const edits = checkEdits(['a', 'b', 'c', 'd'], ['a', 'B', 'c', 'd']);
+    assert.deepStrictEqual(edits, [{
+        range: { start: { line: 1, character: 0 }, end: { line: 2, character: 0 } },
+        newText: 'B\n'
+    }]);
+});
+
+test('inserts and deletes lines anywhere, including the ends', () => {
+    checkEdits(['a', 'b'], ['x', 'a', 'b', 'y']);
+    checkEdits(['a', 'b', 'c'], ['b']);
+    checkEdits(['a', 'b', 'c'], ['a', 'b']);
+    checkEdits(['a'], ['a', 'b', '']);
+    checkEdits(['a', 'b'], ['']);
+    checkEdits([''], ['a', 'b']);
+});
+
+test('reproduces the new text for many random changes', () => {
+    // A fixed seed keeps the test repeatable
+    let seed = 1;
+    const random = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+    };
+    const randomLines = () => Array.from({ length: random(8) + 1 }, () => 'abc'[random(3)]);
+
+    for (let i = 0; i < 500; i++) {
+        checkEdits(randomLines(), randomLines());
+    }
+});
+
+test('uses the end of line sequence of the document', () => {
+    const edits = getLineEdits(['a', 'b'], ['a', 'x', 'b'], '\r\n');
+    assert.deepStrictEqual(edits.map(edit => edit.newText), ['x\r\n']);
+});
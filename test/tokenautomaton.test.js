@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DiagnosticCode } = require('../src/server/parser/enums');
+const { TokenAutomaton } = require('../src/server/parser/tokenautomaton');
+const { parseLines } = require('./helpers');
+
+/**
+ * Compares the strings matched by two patterns.
+ * @param {string} pattern
+ * @param {string} otherPattern
+ */
+function compare(pattern, otherPattern) {
+    const automaton = TokenAutomaton.fromPattern(pattern);
+    const otherAutomaton = TokenAutomaton.fromPattern(otherPattern);
+    assert.ok(automaton && otherAutomaton);
+    return automaton.compare(otherAutomaton);
+}
+
+/**
+ * Returns the token diagnostics of a document, as their line and code.
+ * @param {string[]} lines
+ */
+function getTokenDiagnostics(lines) {
+    return parseLines(lines).getErrors()
+        .filter(error => error.code === DiagnosticCode.ShadowedToken ||
+            error.code === DiagnosticCode.OverlappingTokens)
+        .map(error => [error.range.start.line, error.code]);
+}
+
+test('finds that one pattern matches every string of another', () => {
+    assert.deepStrictEqual(compare('[a-z]+', 'if'), { example: 'if', includesOther: true });
+    assert.deepStrictEqual(compare('\\p{L}+', 'é'), { example: 'é', includesOther: true });
+    assert.deepStrictEqual(compare('if', '[a-z]+'), { example: 'if', includesOther: false });
+});
+
+test('finds the shortest string two patterns both match', () => {
+    assert.deepStrictEqual(compare('[0-9a-f]+', '[0-9]+x?'), { example: '0', includesOther: false });
+    assert.deepStrictEqual(compare('ab|abc', 'a[b-c]+'), { example: 'ab', includesOther: false });
+});
+
+test('finds no example for patterns which match no common string', () => {
+    assert.deepStrictEqual(compare('[0-9]+', '[a-z]+'), { example: undefined, includesOther: false });
+    assert.deepStrictEqual(compare('a*', 'b'), { example: undefined, includesOther: false });
+});
+
+test('does not report keywords defined before an identifier token', () => {
+    assert.deepStrictEqual(getTokenDiagnostics([
+        'IF := "if";',
+        'ELSE := "else";',
+        'ID := "[a-z]+";',
+        'start := IF ID ELSE ID;'
+    ]), []);
+});
+
+test('reports shadowed and partly overlapping tokens', () => {
+    assert.deepStrictEqual(getTokenDiagnostics([
+        'ID := "[a-z]+";',
+        'IF := "if";',
+        'HEX := "[0-9a-f]+";',
+        'NUM := "[0-9]+x?";',
+        'start := IF ID HEX NUM;'
+    ]), [
+        [1, DiagnosticCode.ShadowedToken],
+        [2, DiagnosticCode.OverlappingTokens],
+        [3, DiagnosticCode.OverlappingTokens]
+    ]);
+});
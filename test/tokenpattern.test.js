@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseTokenPattern } = require('../src/server/parser/tokenpattern');
+const { parseLines } = require('./helpers');
+
+/**
+ * Returns the errors of a pattern as [message, start, end].
+ * @param {string} pattern
+ * @returns {[string, number, number][]}
+ */
+function getErrors(pattern) {
+    return parseTokenPattern(pattern).errors.map(error => [error.message, error.start, error.end]);
+}
+
+test('accepts valid patterns', () => {
+    ['[0-9]+(\\.[0-9]+)?', '[a-zA-Z_]\\w*', '\\p{L}+', 'a|b|', '\\u{1F600}', '[^"\\\\]*'].forEach(
+        pattern => assert.deepStrictEqual(getErrors(pattern), [], pattern)
+    );
+});
+
+test('reports unbalanced groups and classes', () => {
+    assert.deepStrictEqual(getErrors('(ab'), [['Unterminated group', 0, 1]]);
+    assert.deepStrictEqual(getErrors('ab)'), [['Unmatched closing parenthesis', 2, 3]]);
+    assert.deepStrictEqual(getErrors('[abc'), [['Unterminated character class', 0, 4]]);
+});
+
+test('reports invalid ranges, quantifiers and escapes', () => {
+    assert.deepStrictEqual(getErrors('[z-a]'), [['Range out of order in character class', 1, 4]]);
+    assert.deepStrictEqual(getErrors('a{3,1}'), [['Numbers out of order in quantifier', 1, 6]]);
+    assert.deepStrictEqual(getErrors('*a'), [['Nothing to repeat', 0, 1]]);
+    assert.deepStrictEqual(getErrors('a**'), [['A quantifier cannot directly follow another quantifier', 2, 3]]);
+    assert.deepStrictEqual(getErrors('\\q'), [["Unknown escape sequence '\\q'", 0, 2]]);
+    assert.deepStrictEqual(getErrors('\\p{Foo}'), [["Unknown Unicode property 'Foo'", 0, 7]]);
+});
+
+test('reports all errors of a pattern', () => {
+    assert.deepStrictEqual(getErrors('[z-a](x'), [
+        ['Range out of order in character class', 1, 4],
+        ['Unterminated group', 5, 6]
+    ]);
+});
+
+test('reports pattern errors at their position in the document', () => {
+    const errors = parseLines(['BAD := "ab[z-a]";']).getErrors()
+        .filter(error => error.message.startsWith('Invalid token pattern'));
+    assert.deepStrictEqual(errors.map(error => [error.range.start.character, error.range.end.character]), [
+        [11, 14]
+    ]);
+});
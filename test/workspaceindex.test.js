@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { WorkspaceIndex } = require('../src/server/workspaceindex');
+const { parseLines } = require('./helpers');
+
+/**
+ * Creates a workspace folder with grammar files.
+ * @param {Object<string, string[]>} files - Lines of each file, by relative path
+ * @returns {Promise<string>} The path of the folder
+ */
+async function createFolder(files) {
+    const folderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'yantra-index-'));
+    for (const [name, lines] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(folderPath, name)), { recursive: true });
+        await fs.writeFile(path.join(folderPath, name), lines.join('\n'));
+    }
+    return folderPath;
+}
+
+/**
+ * Returns the names of the symbols in the index, sorted.
+ * @param {WorkspaceIndex} index
+ * @returns {string[]}
+ */
+function symbolNames(index) {
+    return index.search('').map(symbol => symbol.name).sort();
+}
+
+test('indexes the grammars of a folder', async () => {
+    const folderPath = await createFolder({
+        'calc.yantra': ['NUM := "[0-9]+";', 'start := NUM;'],
+        'sub/lex.y': ['ID := "[a-z]+";'],
+        'node_modules/dep.yantra': ['DEP := "d";'],
+        'notes.txt': ['TXT := "t";']
+    });
+
+    try {
+        const index = new WorkspaceIndex();
+        await index.indexFolder(pathToFileURL(folderPath).href);
+        assert.deepStrictEqual(symbolNames(index), ['ID', 'NUM', 'start']);
+    } finally {
+        await fs.rm(folderPath, { recursive: true });
+    }
+});
+
+test('indexes an open document once, however its URI is spelled', async () => {
+    const folderPath = await createFolder({ 'a+b.yantra': ['OLD := "o";'] });
+
+    try {
+        const index = new WorkspaceIndex();
+        await index.indexFolder(pathToFileURL(folderPath).href);
+
+        // Clients may escape characters which the file system URI does not
+        const clientUri = pathToFileURL(folderPath).href + '/a%2Bb.yantra';
+        index.update(clientUri, parseLines(['NEW := "n";']));
+
+        const symbols = index.search('');
+        assert.deepStrictEqual(symbols.map(symbol => symbol.name), ['NEW']);
+        assert.strictEqual(symbols[0].location.uri, clientUri);
+    } finally {
+        await fs.rm(folderPath, { recursive: true });
+    }
+});
+
+test('ignores a disk read which finishes after the document is edited', async () => {
+    const folderPath = await createFolder({ 'g.yantra': ['OLD := "o";'] });
+    const uri = pathToFileURL(path.join(folderPath, 'g.yantra')).href;
+
+    try {
+        const index = new WorkspaceIndex();
+        const read = index.indexFile(uri);
+        index.update(uri, parseLines(['NEW := "n";']));
+        await read;
+
+        assert.deepStrictEqual(symbolNames(index), ['NEW']);
+
+        // Open documents are not read from disk
+        await index.indexFile(uri);
+        assert.deepStrictEqual(symbolNames(index), ['NEW']);
+    } finally {
+        await fs.rm(folderPath, { recursive: true });
+    }
+});
+
+test('indexes a closed document from disk only inside a folder', async () => {
+    const folderPath = await createFolder({ 'in.yantra': ['DISK := "d";'] });
+    const outsidePath = await createFolder({ 'out.yantra': ['OUTSIDE := "o";'] });
+    const insideUri = pathToFileURL(path.join(folderPath, 'in.yantra')).href;
+    const outsideUri = pathToFileURL(path.join(outsidePath, 'out.yantra')).href;
+
+    try {
+        const index = new WorkspaceIndex();
+        await index.indexFolder(pathToFileURL(folderPath).href);
+        index.update(insideUri, parseLines(['EDITED := "e";']));
+        index.update(outsideUri, parseLines(['OUTSIDE := "o";']));
+        assert.deepStrictEqual(symbolNames(index), ['EDITED', 'OUTSIDE']);
+
+        await index.close(insideUri);
+        await index.close(outsideUri);
+        assert.deepStrictEqual(symbolNames(index), ['DISK']);
+    } finally {
+        await fs.rm(folderPath, { recursive: true });
+        await fs.rm(outsidePath, { recursive: true });
+    }
+});